@@ -3,66 +3,92 @@ import { createController } from 'hatt'
 import React, { Component, PropTypes } from 'react'
 import ReactDOM from 'react-dom'
 import ReactDOMServer from 'react-dom/server'
+import BreadboardBuild, { normalizeSources, denormalizeSources, areSourcesEqual } from './BreadboardBuild'
 import ConsoleController from './ConsoleController'
-import FakeWindow from './FakeWindow'
-import { verifyThemePropTypes, verifyMissingProps, debounce } from './util'
+import createRequire, { findRequiredModules } from './createRequire'
+import { createExecutionError, createTransformError } from './errors'
+import { defaultTransformCache, hashSource } from './TransformCache'
+import FakeWindow, { executeModule } from './FakeWindow'
+import { observeVisibility, unobserveVisibility } from './Injectors'
+import { saveSources, loadSources, clearSources, readSourcesFromHash, createShareURL } from './persistence'
+import { verifyThemePropTypes, verifyMissingProps, debounce, now } from './util'
 
 
-function defaultBreadboardRequire(name) {
-  if (name === 'react') {
-    return React
-  }
-}
+const defaultBreadboardRequire = createRequire({
+  react: React,
+})
 
-function defaultRenderToString(source, require, window, props) {
+export function defaultRenderToString(source, require, window, props) {
   try {
-    var execute
-    var exports = {}
-    var module = { exports: exports }
-    eval('execute = function execute(module, exports, require, window, console) { '+source+' }')
-    execute(module, exports, require, window, window.console)
-    const component = exports.default
-    return ReactDOMServer.renderToString(React.createElement(component, props))
+    const component = executeModule(source, require, window).default
+    return component ? ReactDOMServer.renderToString(React.createElement(component, props)) : ''
   }
   catch (err) {
     return err
   }
 }
 
+// Breadboards that are constructed while another breadboard's preview is
+// being rendered to a string are static, as they'll never be mounted.
+let stringRenderDepth = 0
+
+function renderPreviewString(renderToString, source, require, window, props) {
+  stringRenderDepth++
+  try {
+    const result = renderToString(source, require, window, props)
+    return typeof result === 'string' ? result : ''
+  }
+  finally {
+    stringRenderDepth--
+  }
+}
+
+// Each breadboard's id combines a hash of its initial sources with the lowest
+// ordinal that isn't used by another breadboard with the same sources. Ids
+// are the same on the server and in the browser, so long as the breadboards
+// are constructed with the same sources and in the same order.
+const breadboardIds = new Set
+
+function createBreadboardId(sources) {
+  const hash = hashSource(JSON.stringify(sources))
+  let ordinal = 1
+  while (breadboardIds.has(hash+'-'+ordinal)) {
+    ordinal++
+  }
+  const id = hash+'-'+ordinal
+  breadboardIds.add(id)
+  return id
+}
+
+function releaseBreadboardId(id) {
+  breadboardIds.delete(id)
+}
+
+// The mount of a breadboard that was rendered to a string has the
+// breadboard's id in this attribute, and the string itself in the second
+// attribute. The string is read from the attribute instead of the mount's
+// `innerHTML`, as the browser's serialization of the markup can differ from
+// React's, e.g. in how quotes are escaped. React can then reuse the page's
+// markup, as the first render in the browser matches it exactly.
+const ID_ATTRIBUTE = 'data-breadboard-id'
+const RENDERED_STRING_ATTRIBUTE = 'data-breadboard-string'
+
+// Returns the string that the server rendered for the breadboard with the
+// given id, if any.
+function readRenderedString(id) {
+  if (typeof document === 'undefined') {
+    return ''
+  }
+
+  const mount = document.querySelector(`[${ID_ATTRIBUTE}="${id}"]`)
+  return (mount && mount.getAttribute(RENDERED_STRING_ATTRIBUTE)) || ''
+}
+
 function defaultPrepare(source, require, window) {
   try {
-    const exports = {}
-    const module = { exports: exports }
-
-    const execute = new Function(
-      'window',
-      'setTimeout',
-      'setInterval',
-      'requestAnimationFrame',
-      'fetch',
-      'History',
-      'console',
-      'module',
-      'exports',
-      'require',
-      source
-    )
-    execute(
-      window,
-      window.setTimeout,
-      window.setInterval,
-      window.requestAnimationFrame,
-      window.fetch,
-      window.History,
-      window.console,
-      module,
-      exports,
-      require,
-    )
-
-    const component = exports.default
-
-    return (mount, props={}) => {
+    const component = executeModule(source, require, window).default
+
+    const renderer = (mount, props={}) => {
       if (component) {
         try {
           ReactDOM.render(
@@ -75,21 +101,132 @@ function defaultPrepare(source, require, window) {
         }
       }
     }
+    renderer.component = component
+
+    return renderer
   }
   catch (err) {
     return () => err
   }
 }
+defaultPrepare.reusesMarkup = true
 
 
 export default class Breadboard extends Component {
   static propTypes = {
     /**
-     * A string containing the original source. Updates to the source will
-     * be stored in component state. Updates to `defaultSource` will not be
-     * reflected once the source has undergone any change.
+     * A string containing the original source, or an object mapping
+     * filenames to sources. Updates to the source will be stored in
+     * component state. Updates to `defaultSource` will not be reflected once
+     * the source has undergone any change.
+     *
+     * Required unless a controlled `source` is provided.
+     */
+    defaultSource: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.objectOf(PropTypes.string),
+    ]),
+
+    /**
+     * If provided, the Breadboard's source will be controlled by this prop
+     * instead of being stored in component state. Changes made within the
+     * editor will be passed to `onSourceChange`, and will only be executed
+     * once they're passed back in via this prop.
+     */
+    source: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.objectOf(PropTypes.string),
+    ]),
+
+    /**
+     * If provided, edits to an uncontrolled breadboard will be saved to
+     * `localStorage` under this key, and restored when the breadboard is next
+     * mounted. Sources shared via a URL created with the theme's
+     * `getShareURL` function are also stored under this key, and take
+     * priority over saved sources.
+     */
+    storageKey: PropTypes.string,
+
+    /**
+     * Called with the new source whenever it is changed within the editor.
+     * The source will have the same shape as the `source` or `defaultSource`
+     * prop.
+     */
+    onSourceChange: PropTypes.func,
+
+    /**
+     * Called after the source is transformed with an object containing the
+     * `transformedSource` and `executableSource` of the entry file, the
+     * transformed `files`, any `error`, an array of non-fatal `warnings`, and
+     * the `time` taken in milliseconds.
+     */
+    onTransform: PropTypes.func,
+
+    /**
+     * Called after the view has been rendered with an object containing
+     * any `error`, and the `time` taken in milliseconds.
+     */
+    onRender: PropTypes.func,
+
+    /**
+     * Called with an error and the phase in which it occured, i.e.
+     * `transform` or `execution`.
+     */
+    onError: PropTypes.func,
+
+    /**
+     * When the source contains multiple files, specifies the file whose
+     * exports will be rendered. Defaults to the first file.
+     */
+    entry: PropTypes.string,
+
+    /**
+     * An object mapping route patterns like `GET /api/todos/:id` to mock
+     * responses, or to functions that return mock responses. Requests made
+     * with `fetch` that match a route will be served by the mock instead of
+     * the network. See `mockFetch.js` for details.
+     */
+    fetchHandlers: PropTypes.object,
+
+    /**
+     * The URL that the breadboard's fake `location` object will initially
+     * point to. The source is given a fake `history` object, so that it can
+     * change this location without affecting the host page's URL.
+     */
+    initialURL: PropTypes.string,
+
+    /**
+     * The initial contents of the breadboard's `localStorage` and
+     * `sessionStorage`, as an object with `local` and `session` keys. Each
+     * breadboard has its own storage, which is reset to these contents
+     * whenever the code is re-run. Non-string values will be stored as JSON.
+     */
+    defaultStorage: PropTypes.shape({
+      local: PropTypes.object,
+      session: PropTypes.object,
+    }),
+
+    /**
+     * The number of milliseconds that code can run for without yielding
+     * before it is aborted with an `executionError`. This protects the page
+     * from infinite loops in the built-in breadboards, whose code is
+     * instrumented to check the limit. Pass `0` to disable the limit.
+     */
+    executionTimeLimit: PropTypes.number,
+
+    /**
+     * The maximum number of console messages to keep. Once this number is
+     * exceeded, the oldest messages will be dropped. Defaults to 1000.
      */
-    defaultSource: PropTypes.string.isRequired,
+    maxConsoleMessages: PropTypes.number,
+
+    /**
+     * If true, the source won't be transformed or executed until the
+     * breadboard is scrolled into view, and timers and animation frames will
+     * be paused while it is scrolled out of view. Has no effect during
+     * server rendering. Changes to this prop are ignored.
+     */
+    lazy: PropTypes.bool,
 
     /**
      * A Controller output that keeps track of the current visible modes.
@@ -100,6 +237,21 @@ export default class Breadboard extends Component {
     /**
      * A function that takes the transformed source and returns a function
      * that can be used to render a value from the controller to the mount.
+     *
+     * It also receives an options object with an `onError` callback, which
+     * can be used to report errors that occur outside of the render function.
+     * If the returned function has a `dispose` method, it will be called once
+     * the function is no longer needed. Its `component`, `stories` and
+     * `story` properties are passed to the theme, so that themes can offer
+     * a props editor and a list of stories.
+     *
+     * Prepare functions created with `createHotPrepare` update the previous
+     * render in place instead of remounting it.
+     *
+     * Prepare functions whose renderers render with `ReactDOM.render` should
+     * have a `reusesMarkup` property set to `true`, so that they can take
+     * over the markup from `renderToString`. For other prepare functions,
+     * the markup is removed before their renderer first runs.
      */
     prepare: PropTypes.func.isRequired,
 
@@ -118,7 +270,9 @@ export default class Breadboard extends Component {
 
     /**
      * An optional function that renders the source with a given controller
-     * state to a string suitable for use with server side rendering.
+     * state to a string suitable for use with server side rendering. It
+     * receives the executable source, `require`, an inert fake window's
+     * actions and the view props, and returns a string or an error.
      */
     renderToString: PropTypes.func,
 
@@ -126,6 +280,9 @@ export default class Breadboard extends Component {
      * The function that will be used to handle CommonJS `require()` calls
      * within the evaluated code. Defaults to a function that only provides
      * the `react` module.
+     *
+     * Functions created with `createRequire` also support lazily loaded
+     * modules, which are loaded before the code is executed, and `import()`.
      */
     require: PropTypes.func,
 
@@ -142,22 +299,90 @@ export default class Breadboard extends Component {
      * by default.
      */
     transform: PropTypes.func,
+
+    /**
+     * A string that identifies the behavior of `transform`. Breadboards that
+     * use the same `transformKey` will share transformed results via the
+     * `transformCache`, and results will only be persisted when this is set.
+     * If you change how `transform` behaves, you'll also need to change this
+     * key.
+     */
+    transformKey: PropTypes.string,
+
+    /**
+     * An array of `{ test, transform, key }` objects, specifying transforms
+     * to use for files whose names match the `test` RegExp. Files that don't
+     * match any of these transforms are transformed with `transform`. The
+     * optional `key` serves the same purpose as `transformKey`.
+     */
+    transforms: PropTypes.arrayOf(PropTypes.shape({
+      test: PropTypes.instanceOf(RegExp).isRequired,
+      transform: PropTypes.func.isRequired,
+      key: PropTypes.string,
+    })),
+
+    /**
+     * A `TransformCache` object used to look up the results of previous
+     * transforms. By default, a single in-memory cache is shared between
+     * all breadboards on the page. Pass `null` to disable caching.
+     */
+    transformCache: PropTypes.object,
   }
 
   static defaultProps = {
     prepare: defaultPrepare,
+    transformCache: defaultTransformCache,
     renderToString: defaultRenderToString,
     require: defaultBreadboardRequire,
+    executionTimeLimit: 1000,
   }
 
   constructor(props) {
     super(props)
 
-    const source = props.defaultSource.replace(/^\n|\n$/g, '')
+    // Static breadboards are only ever rendered to a string, e.g. on the
+    // server, so their code is executed within an inert window.
+    this.isStatic = !ExecutionEnvironment.canUseDOM || stringRenderDepth > 0
+
+    const sources =
+      props.source !== undefined
+        ? normalizeSources(props.source)
+        : normalizeSources(props.defaultSource, true)
+
+    // Static breadboards are never unmounted, so their ids are released once
+    // the current render has completed.
+    this.id = createBreadboardId(sources)
+    if (this.isStatic) {
+      setTimeout(() => releaseBreadboardId(this.id), 0)
+    }
 
-    this.consoleController = createController(ConsoleController)
+    this.build = createBuild(props)
+    this.consoleController = createController(ConsoleController, {
+      maxMessages: props.maxConsoleMessages,
+      evaluate: this.evaluateConsoleInput,
+    })
     this.consoleController.thaw()
-    this.fakeWindow = new FakeWindow(this.consoleController.get().actions)
+
+    // The actions that themes can use to implement a console input line
+    const consoleActions = this.consoleController.get().actions
+    this.consoleActions = {
+      setInput: consoleActions.setInput,
+      previousInput: consoleActions.previousInput,
+      nextInput: consoleActions.nextInput,
+      submitInput: consoleActions.submitInput,
+      clear: consoleActions.clear,
+    }
+    this.fakeWindow = new FakeWindow(this.consoleController.get().actions, {
+      onError: this.handleExecutionError,
+      fetchHandlers: props.fetchHandlers,
+      executionTimeLimit: props.executionTimeLimit,
+      initialURL: props.initialURL,
+      onLocationChange: this.handleFakeWindowChange,
+      storage: props.defaultStorage,
+      onStorageChange: this.handleFakeWindowChange,
+      scopeId: this.id,
+      inert: this.isStatic,
+    })
 
     this.debouncedChangeSource = debounce(this.changeSource, 100)
 
@@ -167,56 +392,84 @@ export default class Breadboard extends Component {
 
     this.state = {
       consoleMessages: [],
-      source: source,
-      editorSource: source,
+      droppedConsoleMessageCount: 0,
+      consoleInput: '',
+      sources: sources,
+      editorSources: sources,
+      activeFile: props.entry || Object.keys(sources)[0],
       value: null,
       modes: modes,
-      transformedSource: null,
+      transforming: false,
+      transformedFiles: null,
       executableSource: null,
       transformError: null,
+      transformWarnings: [],
       renderer: null,
       executionError: null,
+
+      // Sources from a shared URL, which are shown in the editor but aren't
+      // run until the reader confirms
+      pendingSharedSources: null,
     }
 
-    if (ExecutionEnvironment.canUseDOM &&
+    if (!this.isStatic &&
         props.viewController) {
       props.viewController.subscribe(this.handleViewUpdate)
     }
 
-    const execute = modes.view || modes.console
+    // Lazy breadboards are activated once they first scroll into view
+    this.activated = !props.lazy || this.isStatic
+    this.state.visible = this.activated
 
-    if (modes.transformed || execute) {
-      const { transformedSource, executableSource, error } = this.props.transform(source)
+    this.transformRevision = 0
+    Object.assign(this.state, this.transformAndPrepare(sources, props, modes))
 
-      this.state.transformedSource = transformedSource
-      this.state.executableSource = executableSource
-      this.state.transformError = error
-
-      if (execute && executableSource) {
-        if (props.renderToString) {
-          this.state.string = props.renderToString(
-            executableSource,
-            props.require,
-            this.fakeWindow.actions,
-            props.viewController && props.viewController.get()
-          )
-        }
-        if (ExecutionEnvironment.canUseDOM) {
-          this.fakeWindow.reset()
-          this.state.renderer = props.prepare(
-            executableSource,
-            props.require,
-            this.fakeWindow.actions,
-          )
-        }
-      }
-    }
+    this.initialString =
+      this.isStatic
+        ? this.renderInitialString(props, modes)
+        : readRenderedString(this.id)
 
     this.state.consoleMessages = this.consoleController.get().messages
   }
 
   componentDidMount() {
+    this.mounted = true
     this.consoleController.subscribe(this.handleConsoleChange)
+    this.flushTransformEvent()
+
+    // Asynchronous transforms that completed before mounting
+    if (this.pendingBuildUpdates) {
+      this.setState(this.pendingBuildUpdates)
+      this.pendingBuildUpdates = null
+    }
+
+    if (!this.activated) {
+      this.visibilityTarget = ReactDOM.findDOMNode(this.rootElement)
+      observeVisibility(this.visibilityTarget, this.handleVisibilityChange)
+    }
+
+    // Sources are restored after mounting to ensure that the server rendered
+    // markup matches the initial client render.
+    const storageKey = this.props.storageKey
+    if (storageKey && this.props.source === undefined) {
+      const sharedSources = readSourcesFromHash(storageKey)
+      const restoredSources = sharedSources || loadSources(storageKey)
+      if (restoredSources && !areSourcesEqual(restoredSources, this.state.sources)) {
+        // Anybody can create a link with shared sources, so unless they'll
+        // run in a sandbox, they're only shown in the editor until the reader
+        // chooses to run them.
+        if (sharedSources && !this.props.prepare.sandboxed) {
+          this.setState({
+            editorSources: sharedSources,
+            activeFile: getActiveFile(sharedSources, this.state.activeFile),
+            pendingSharedSources: sharedSources,
+          })
+        }
+        else {
+          this.replaceSources(restoredSources)
+        }
+      }
+    }
 
     // Use this instead of the `modes` on state, as if the above
     // manageDimensions call has caused a change, it may not have
@@ -235,28 +488,84 @@ export default class Breadboard extends Component {
       this.handleModesChange(nextProps.modes)
     }
 
+    if (nextProps.fetchHandlers !== this.props.fetchHandlers) {
+      this.fakeWindow.setFetchHandlers(nextProps.fetchHandlers)
+    }
+
+    if (nextProps.executionTimeLimit !== this.props.executionTimeLimit) {
+      this.fakeWindow.setExecutionTimeLimit(nextProps.executionTimeLimit)
+    }
+
+    if (nextProps.defaultStorage !== this.props.defaultStorage) {
+      this.fakeWindow.setStorage(nextProps.defaultStorage)
+    }
+
+    if (nextProps.source !== undefined && nextProps.source !== this.props.source) {
+      const sources = normalizeSources(nextProps.source)
+      const activeFile =
+        sources.hasOwnProperty(this.state.activeFile)
+          ? this.state.activeFile
+          : Object.keys(sources)[0]
+
+      this.setState({ editorSources: sources, activeFile })
+      this.debouncedChangeSource(sources)
+    }
+
+    if (nextProps.transform !== this.props.transform ||
+        nextProps.transforms !== this.props.transforms ||
+        nextProps.transformKey !== this.props.transformKey ||
+        nextProps.transformCache !== this.props.transformCache) {
+      this.build = createBuild(nextProps)
+    }
+
     if (nextProps.transform !== this.props.transform ||
+        nextProps.transforms !== this.props.transforms ||
+        nextProps.transformKey !== this.props.transformKey ||
+        nextProps.entry !== this.props.entry ||
         nextProps.prepare !== this.props.prepare ||
         nextProps.require !== this.props.require) {
-      this.setState(this.transformAndPrepare(this.state.source, nextProps, nextProps.modes) || {})
+      this.setState(this.transformAndPrepare(this.state.sources, nextProps, nextProps.modes, true) || {})
     }
   }
   componentDidUpdate(prevProps, prevState) {
+    this.flushTransformEvent()
+
     const modes = this.state.modes
-    if ((modes.view || modes.console) && 
+    if (shouldExecute(modes) &&
         (this.state.renderer !== prevState.renderer ||
-         !(prevState.modes.view || prevState.modes.console))) {
-      try {
-        ReactDOM.unmountComponentAtNode(this.refs.mount)
+         !shouldExecute(prevState.modes))) {
+      const renderer = this.state.renderer
+      if (prevState.renderer && prevState.renderer !== renderer && prevState.renderer.dispose) {
+        prevState.renderer.dispose()
+      }
+      const isHotUpdate = !!renderer && !!renderer.hot && !!prevState.renderer && prevState.renderer.hot === renderer.hot
+      if (!isHotUpdate) {
+        try {
+          ReactDOM.unmountComponentAtNode(this.refs.mount)
+        }
+        catch (e) { }
       }
-      catch (e) { }
       const viewController = this.viewController
       this.execute(viewController && viewController.get())
     }
   }
   componentWillUnmount() {
+    this.mounted = false
+
+    if (this.visibilityTarget) {
+      unobserveVisibility(this.visibilityTarget)
+    }
+
+    // Discard any in-progress asynchronous transforms
+    this.transformRevision++
+
     this.consoleController.destroy()
     this.fakeWindow.destroy()
+    releaseBreadboardId(this.id)
+
+    if (this.state.renderer && this.state.renderer.dispose) {
+      this.state.renderer.dispose()
+    }
 
     try {
       ReactDOM.unmountComponentAtNode(this.refs.mount)
@@ -265,11 +574,11 @@ export default class Breadboard extends Component {
 
   handleModesChange = (modes) => {
     const prevModes = this.state.modes
-    const prevExecute = prevModes.view || prevModes.console
-    const nextExecute = modes.view || modes.console
+    const prevExecute = shouldExecute(prevModes)
+    const nextExecute = shouldExecute(modes)
     const updates = { modes }
     if ((!prevModes.transformed && modes.transformed) || (!prevExecute && nextExecute)) {
-      Object.assign(updates, this.transformAndPrepare(this.state.source, this.props, modes))
+      Object.assign(updates, this.transformAndPrepare(this.state.sources, this.props, modes))
     }
     this.setState(updates)
   }
@@ -277,29 +586,154 @@ export default class Breadboard extends Component {
   // Used so to create debouncedChangeSource. This is separate to the event handler
   // as React doesn't like us keeping the event objects around for the completion of
   // the timeout.
-  changeSource = (source) => {
-    if (source !== this.state.source) {
+  changeSource = (sources) => {
+    if (sources !== this.state.sources) {
       this.setState({
-        source,
-        ...this.transformAndPrepare(source, this.props, this.props.modes)
+        sources,
+        pendingSharedSources: null,
+        ...this.transformAndPrepare(sources, this.props, this.props.modes)
       })
+
+      const storageKey = this.props.storageKey
+      if (storageKey && this.props.source === undefined) {
+        if (areSourcesEqual(sources, this.getOriginalSources())) {
+          clearSources(storageKey)
+        }
+        else {
+          saveSources(storageKey, sources)
+        }
+      }
+    }
+  }
+
+  // Immediately replaces the sources of an uncontrolled breadboard.
+  replaceSources(sources) {
+    const activeFile = getActiveFile(sources, this.state.activeFile)
+
+    this.setState({ editorSources: sources, activeFile })
+    this.changeSource(sources)
+  }
+
+  handleRunSharedSource = () => {
+    if (this.state.pendingSharedSources) {
+      this.replaceSources(this.state.pendingSharedSources)
+    }
+  }
+
+  handleDiscardSharedSource = () => {
+    if (this.state.pendingSharedSources) {
+      this.setState({
+        editorSources: this.state.sources,
+        activeFile: getActiveFile(this.state.sources, this.state.activeFile),
+        pendingSharedSources: null,
+      })
+    }
+  }
+
+  getOriginalSources() {
+    return normalizeSources(this.props.defaultSource, true)
+  }
+
+  getShareURL = () => {
+    return createShareURL(this.props.storageKey, this.state.editorSources)
+  }
+
+  handleResetSource = () => {
+    const originalSources = this.getOriginalSources()
+    if (this.props.storageKey) {
+      clearSources(this.props.storageKey)
+    }
+    this.replaceSources(originalSources)
+
+    if (this.props.onSourceChange) {
+      this.props.onSourceChange(denormalizeSources(originalSources, this.props.defaultSource))
     }
   }
 
   handleChangeSource = (e) => {
     const source = typeof e === 'string' ? e : (e && e.target && e.target.value)
-    this.setState({ editorSource: source })
-    this.debouncedChangeSource(source)
+    const editorSources = {
+      ...this.state.editorSources,
+      [this.state.activeFile]: source,
+    }
+    // Edits to shared sources are also held until the reader chooses to run
+    // them, so that a single keystroke can't run them by accident.
+    if (this.state.pendingSharedSources) {
+      this.setState({ editorSources, pendingSharedSources: editorSources })
+    }
+    else {
+      this.setState({ editorSources })
+
+      // When controlled, the new source will be executed once it is passed
+      // back in via the `source` prop.
+      if (this.props.source === undefined) {
+        this.debouncedChangeSource(editorSources)
+      }
+    }
+
+    if (this.props.onSourceChange) {
+      const original = this.props.source !== undefined ? this.props.source : this.props.defaultSource
+      this.props.onSourceChange(denormalizeSources(editorSources, original))
+    }
   }
 
-  handleConsoleChange = ({ messages }) => {
+  handleSelectFile = (filename) => {
+    if (this.state.editorSources.hasOwnProperty(filename)) {
+      this.setState({ activeFile: filename })
+    }
+  }
+
+  handleConsoleChange = ({ messages, droppedMessageCount, input }) => {
     this.setState({
-      consoleMessages: messages
+      consoleMessages: messages,
+      droppedConsoleMessageCount: droppedMessageCount,
+      consoleInput: input,
     })
   }
 
+  evaluateConsoleInput = (code) => {
+    return this.fakeWindow.evaluate(code)
+  }
+
+  handleExecutionError = (error) => {
+    // Map the error's location back to the user's original source
+    const executionError = createExecutionError(error, this.preparedBuild)
+
+    this.setState({ executionError })
+
+    if (this.props.onError) {
+      this.props.onError(executionError, 'execution')
+    }
+
+    return executionError
+  }
+
+  handleVisibilityChange = (visible) => {
+    if (visible) {
+      this.fakeWindow.resume()
+    }
+    else {
+      this.fakeWindow.pause()
+    }
+
+    const updates = { visible }
+    if (visible && !this.activated) {
+      this.activated = true
+      Object.assign(updates, this.transformAndPrepare(this.state.sources, this.props, this.state.modes, true))
+    }
+    this.setState(updates)
+  }
+
+  // The current location and storage are read directly from the fake window
+  // when rendering, so we just need to make sure that a render happens.
+  handleFakeWindowChange = () => {
+    if (this.mounted) {
+      this.forceUpdate()
+    }
+  }
+
   handleViewUpdate = (viewProps) => {
-    if (this.state.modes.view || this.state.modes.console) {
+    if (shouldExecute(this.state.modes)) {
       this.execute(viewProps)
     }
   }
@@ -320,7 +754,7 @@ export default class Breadboard extends Component {
 
     return this.props.renderEditorElement({
       layout: themeableProps.layout,
-      value: this.state.editorSource,
+      value: this.state.editorSources[this.state.activeFile],
       onChange: this.handleChangeSource,
     })
   }
@@ -344,20 +778,64 @@ export default class Breadboard extends Component {
   render() {
     // Generate the mount elememnt here to ensure that the ref attaches to
     // this component instance
+    const mountProps = {
+      [this.fakeWindow.scopeAttribute]: this.fakeWindow.scopeId,
+      [ID_ATTRIBUTE]: this.initialString ? this.id : undefined,
+      [RENDERED_STRING_ATTRIBUTE]: this.initialString || undefined,
+    }
     this.mountElement =
-      ExecutionEnvironment.canUseDOM
-       ? <div ref='mount' />
-       : <div ref='mount' dangerouslySetInnerHTML={{__html: this.state.string}} />
+      <div ref='mount' {...mountProps} dangerouslySetInnerHTML={{__html: this.initialString}} />
+
+    const transformedFiles = this.state.transformedFiles
+    const activeFile = this.state.activeFile
+    const history = this.fakeWindow.history
+    const renderer = this.state.renderer
 
     const rootElement = this.props.theme({
       consoleMessages: this.state.consoleMessages,
-      transformedSource: this.state.transformedSource,
+      droppedConsoleMessageCount: this.state.droppedConsoleMessageCount,
+      consoleInput: this.state.consoleInput,
+      consoleActions: this.consoleActions,
+      transformedSource: transformedFiles && transformedFiles[activeFile] && transformedFiles[activeFile].transformedSource,
       transformError: this.state.transformError,
+      transformWarnings: this.state.transformWarnings,
+      transforming: this.state.transforming,
+      visible: this.state.visible,
       executionError: this.state.executionError,
+      component: renderer ? renderer.component : undefined,
+      stories: renderer ? renderer.stories : undefined,
+      story: renderer ? renderer.story : undefined,
 
       renderEditorElement: this.renderEditorElement,
       renderMountElement: this.renderMountElement,
 
+      location: history.href,
+      locationActions: {
+        back: history.back,
+        forward: history.forward,
+        navigate: history.navigate,
+        canGoBack: history.index > 0,
+        canGoForward: history.index < history.length - 1,
+      },
+
+      storage: {
+        local: this.fakeWindow.localStorage.toObject(),
+        session: this.fakeWindow.sessionStorage.toObject(),
+      },
+
+      sourceChanged:
+        this.props.source === undefined &&
+        !areSourcesEqual(this.state.editorSources, this.getOriginalSources()),
+      onResetSource: this.props.source === undefined ? this.handleResetSource : undefined,
+      getShareURL: this.props.storageKey ? this.getShareURL : undefined,
+      sharedSourcePending: !!this.state.pendingSharedSources,
+      onRunSharedSource: this.handleRunSharedSource,
+      onDiscardSharedSource: this.handleDiscardSharedSource,
+
+      files: Object.keys(this.state.editorSources),
+      activeFile: activeFile,
+      onSelectFile: this.handleSelectFile,
+
       modes: this.state.modes,
       modeActions: this.state.modes,
     })
@@ -369,44 +847,209 @@ export default class Breadboard extends Component {
     this.rootElement = el
   }
 
-  transformAndPrepare(source, props, modes) {
+  transformAndPrepare(sources, props, modes, forcePrepare=false) {
+    const execute = shouldExecute(modes)
+
+    if (this.activated && (execute || modes.transformed)) {
+      const start = now()
+      const buildResult = this.build.run(sources, props.entry)
+      const revision = ++this.transformRevision
+
+      // Transforms that run in a Web Worker produce a promise, as do builds
+      // that require modules that haven't been loaded yet. The previous
+      // result stays in place until the promise resolves, at which point it
+      // is only used if no newer transform has been started since.
+      const require = execute ? props.require : null
+      const isAsync = buildResult && typeof buildResult.then === 'function'
+      const preloaded =
+        isAsync
+          ? buildResult.then(result => preloadModules(result, require) || result)
+          : preloadModules(buildResult, require)
+
+      if (preloaded) {
+        // Failed worker transforms and module loads are reported like any
+        // other transform error.
+        const handleFailure = error => ({
+          sources,
+          files: {},
+          entry: props.entry || Object.keys(sources)[0],
+          error: createTransformError(error),
+          warnings: [],
+          packedSource: null,
+          offsets: {},
+        })
+
+        preloaded.catch(handleFailure).then(result => {
+          if (revision === this.transformRevision) {
+            const updates = this.prepareBuild(result, this.props, this.state.modes, forcePrepare, now() - start)
+
+            if (this.mounted) {
+              this.setState(updates || {})
+            }
+            else {
+              this.pendingBuildUpdates = updates
+            }
+          }
+        })
+
+        return { transforming: true }
+      }
+
+      return this.prepareBuild(buildResult, props, modes, forcePrepare, now() - start)
+    }
+  }
+
+  prepareBuild(buildResult, props, modes, forcePrepare, time) {
     const state = this.state
-    const execute = modes.view || modes.console
+    const execute = shouldExecute(modes)
+    const { files, packedSource, error, warnings } = buildResult
 
-    if (execute || modes.transformed) {
-      const { transformedSource, executableSource, error } = props.transform(source)
-      this.fakeWindow.reset()
+    if (forcePrepare ||
+        files !== state.transformedFiles ||
+        packedSource !== state.executableSource ||
+        error !== state.transformError) {
+      const executableSource = packedSource
+      const result = {
+        transforming: false,
+        transformError: error,
+        transformWarnings: warnings,
+        transformedFiles: files,
+        executableSource,
+      }
 
-      if (transformedSource !== state.transformedSource ||
-          executableSource !== state.executableSource ||
-          error !== state.transformError) {
+      this.pendingTransformEvent = createTransformEvent(buildResult, time)
 
-        const result = {
-          transformError: error,
-          transformedSource,
-          executableSource,
+      // Static breadboards don't execute code; their preview is rendered
+      // with `renderToString` instead.
+      if (!this.isStatic) {
+        // Hot renderers update the previous renderer's output in place, so
+        // the existing history and storage are kept for it. Timers and
+        // listeners are still cleared, so that those set up by each version
+        // of the module don't pile up.
+        const isHotUpdate = !!props.prepare.hot && !!state.renderer && state.renderer.hot === props.prepare
+        if (isHotUpdate) {
+          this.fakeWindow.clearTimers()
+        }
+        else {
+          this.fakeWindow.reset()
         }
 
         if (execute && executableSource) {
           result.executionError = null
+          this.preparedBuild = buildResult
           result.renderer = props.prepare(
             executableSource,
             props.require,
             this.fakeWindow.actions,
+            { onError: this.handleExecutionError },
           )
         }
-
-        return result
       }
+
+      return result
+    }
+    else if (state.transforming) {
+      return { transforming: false }
     }
   }
 
+  // Static breadboards render their preview to a string, which the browser
+  // then reads back from the page instead of executing the code a second
+  // time, so that React can reuse the server's markup, and so that the
+  // executed code can take over the markup without the preview going blank.
+  // The string never changes afterwards, so that React never replaces the
+  // executed code's output.
+  //
+  // This is only possible when the source can be transformed synchronously;
+  // breadboards with a transform worker will be empty until they're
+  // executed.
+  renderInitialString(props, modes) {
+    // Rendering to a string executes the code on the server (or within the
+    // host page), which would defeat the purpose of a sandbox.
+    const executableSource = this.state.executableSource
+    if (!shouldExecute(modes) || !executableSource || !props.renderToString || props.prepare.sandboxed) {
+      return ''
+    }
+
+    const viewProps = props.viewController && props.viewController.get()
+    return renderPreviewString(props.renderToString, executableSource, props.require, this.fakeWindow.actions, viewProps)
+  }
+
   execute(viewProps) {
     if (this.state.renderer) {
+      // Only React can take over the markup that was rendered to a string
+      if (this.initialString && !this.initialStringCleared && !this.props.prepare.reusesMarkup) {
+        this.refs.mount.innerHTML = ''
+        this.initialStringCleared = true
+      }
+
+      const start = now()
+      this.fakeWindow.beginExecution()
       const executionError = this.state.renderer(this.refs.mount, viewProps || {})
-      if (executionError) {
-        this.setState({ executionError })
+      const time = now() - start
+
+      const error = executionError ? this.handleExecutionError(executionError) : null
+
+      if (this.props.onRender) {
+        this.props.onRender({ error, time })
+      }
+    }
+  }
+
+  // Transforms can happen during the constructor or `componentWillReceiveProps`,
+  // so we hold off on notifying our parent until the component has updated.
+  flushTransformEvent() {
+    const event = this.pendingTransformEvent
+
+    if (event) {
+      this.pendingTransformEvent = null
+
+      if (this.props.onTransform) {
+        this.props.onTransform(event)
+      }
+      if (event.error && this.props.onError) {
+        this.props.onError(event.error, 'transform')
       }
     }
   }
 }
+
+
+function getActiveFile(sources, activeFile) {
+  return sources.hasOwnProperty(activeFile) ? activeFile : Object.keys(sources)[0]
+}
+
+// The source needs to be executed for any mode that shows its output,
+// including the props editor, which inspects the rendered component.
+function shouldExecute(modes) {
+  return !!(modes.view || modes.console || modes.props)
+}
+
+// Loads any lazy modules required by the build, returning a promise to the
+// build result if there is anything to load.
+function preloadModules(buildResult, require) {
+  const packedSource = buildResult.packedSource
+  const promise =
+    packedSource && require && require.preload &&
+    require.preload(findRequiredModules(packedSource))
+
+  return promise ? promise.then(() => buildResult) : null
+}
+
+function createBuild(props) {
+  return new BreadboardBuild(props.transforms, props.transform, {
+    cache: props.transformCache,
+    transformKey: props.transformKey,
+  })
+}
+
+function createTransformEvent({ files, entry, packedSource, error, warnings }, time) {
+  return {
+    transformedSource: files[entry] && files[entry].transformedSource,
+    executableSource: packedSource,
+    files,
+    error,
+    warnings,
+    time,
+  }
+}
@@ -1,94 +1,481 @@
+import { localizeCSS } from './css'
+import { createTransformError } from './errors'
+import { hashSource } from './TransformCache'
+
+
+/**
+ * The filename that is used when a Breadboard's source is given as a single
+ * string instead of an object mapping filenames to sources.
+ */
+export const DEFAULT_FILENAME = 'index.js'
+
+
+/**
+ * Converts a `source` or `defaultSource` prop into an object mapping
+ * filenames to sources, optionally stripping leading and trailing newlines.
+ */
+export function normalizeSources(source, trim=false) {
+  const sources = typeof source === 'string' ? { [DEFAULT_FILENAME]: source } : source
+  const normalized = {}
+  for (let filename of Object.keys(sources)) {
+    normalized[filename] = trim ? sources[filename].replace(/^\n|\n$/g, '') : sources[filename]
+  }
+  return normalized
+}
+
+/**
+ * Converts an object mapping filenames to sources back into the same shape
+ * as the `source` or `defaultSource` prop it was created from.
+ */
+export function denormalizeSources(sources, original) {
+  return typeof original === 'string' ? sources[DEFAULT_FILENAME] : sources
+}
+
+/**
+ * Returns true if two objects mapping filenames to sources contain the same
+ * files and sources.
+ */
+export function areSourcesEqual(a, b) {
+  const filenames = Object.keys(a)
+  return (
+    filenames.length === Object.keys(b).length &&
+    filenames.every(filename => a[filename] === b[filename])
+  )
+}
+
+
 /**
- * Handle the process of turning sources into a `render` function, memoizing
- * transforms and packed strings where appropriate to ensure that things aren't
- * needlessly rebuilt.
+ * Handle the process of turning a set of source files into a single packed
+ * source, memoizing transforms and packed strings where appropriate to ensure
+ * that things aren't needlessly rebuilt.
+ *
+ * Transforms are given as an array of `{ test, transform, key }` objects,
+ * where `test` is a RegExp that is matched against each filename. The first
+ * matching transform is used. Files that do not match any transform are
+ * passed to the `defaultTransform`. Transforms can return a promise to
+ * their result, e.g. when they are run in a Web Worker.
+ *
+ * When a `cache` is provided, transform results are shared with every other
+ * build that uses the same cache. Results are keyed by the transform's `key`
+ * (or `transformKey` for the default transform), falling back to the
+ * transform function's identity. Only results for transforms with a key can
+ * be persisted, as function identities don't survive page reloads.
  *
  * A single Breadboard contains a single BreadboardBuild object.
  */
-class BreadboardBuild {
-  construtor(transforms, require, packer, renderToString) {
+export default class BreadboardBuild {
+  constructor(transforms, defaultTransform, { cache, transformKey, pack=defaultPack }={}) {
+    this.transforms = (transforms || []).concat(defaultTransforms)
+    this.defaultTransform = { transform: defaultTransform, key: transformKey }
+    this.cache = cache
+    this.packer = pack
 
+    // Holds the most recent `{ source, transform, result }` for each file
+    this.files = {}
+
+    this.previousSources = null
+    this.previousEntry = null
+    this.previousResult = null
   }
 
-  run(sources, shouldPack=true) {
-    // - if sources are identical to previous sources, and a cached result
-    //   exists, just use it
+  getTransform(filename) {
+    return this.transforms.find(({ test }) => test.test(filename)) || this.defaultTransform
+  }
 
-    // - run transforms on source files based on patterns, memoizing a single
-    //   previous value per file. invalidate any cached packer result
+  transformFile(source, filename, { transform, key }) {
+    const cache = this.cache
 
-    // - turn the transformed sources into a `render` file using the packer,
-    //   so long as shouldPack is true
+    if (!cache) {
+      return normalizeTransformResult(transform(source, filename), source, filename)
+    }
 
-    return {
-      // A `(mountpoint, props) => void` function that renders one frame of
-      // the app with the given props. This function may be called without
-      // cleaning up previous frames if the props change.
-      render,
+    // Wait for any persisted results to load before checking the cache
+    if (cache.ready) {
+      return cache.ready.then(() => this.transformFile(source, filename, { transform, key }))
+    }
 
-      // A single string that includes all transformed sources
-      packedSource,
+    const transformKey = key || getIdentityKey(transform)
+    const cacheKey = transformKey+'\n'+filename+'\n'+hashSource(source)
+    let result = cache.get(cacheKey)
 
-      // A paused FakeWindow object
-      fakeWindow,
+    if (!result) {
+      result = normalizeTransformResult(transform(source, filename), source, filename)
+      cache.set(cacheKey, result, transformKey.indexOf('\0') === -1)
     }
+
+    return result
   }
 
-  renderToString(sources) {
+  /**
+   * Returns the result of the build, or if any of the transforms returned a
+   * promise, a promise to the result.
+   */
+  run(sources, entry) {
+    const filenames = Object.keys(sources)
+    entry = entry || filenames[0]
+
+    // If sources are identical to previous sources, just use the cached
+    // result.
+    if (sources === this.previousSources && entry === this.previousEntry) {
+      return this.previousResult
+    }
+
+    // Run transforms on source files based on patterns, memoizing a single
+    // previous value per file.
+    const files = {}
+    const nextFiles = {}
+    let changed =
+      !this.previousResult ||
+      entry !== this.previousEntry ||
+      filenames.length !== Object.keys(this.files).length
+
+    for (let filename of filenames) {
+      const source = sources[filename]
+      const transform = this.getTransform(filename)
+      const cached = this.files[filename]
 
+      if (cached && cached.source === source && cached.transform === transform) {
+        files[filename] = cached.result
+      }
+      else {
+        files[filename] = this.transformFile(source, filename, transform)
+        changed = true
+      }
+
+      nextFiles[filename] = { source, transform, result: files[filename] }
+    }
+
+    this.files = nextFiles
+    this.previousSources = sources
+    this.previousEntry = entry
+
+    if (changed) {
+      const pendingFilenames = filenames.filter(filename => isPromise(files[filename]))
+
+      if (pendingFilenames.length) {
+        const promise =
+          Promise.all(pendingFilenames.map(filename => files[filename])).then(results => {
+            const resolvedFiles = { ...files }
+
+            pendingFilenames.forEach((filename, i) => {
+              resolvedFiles[filename] = results[i]
+
+              // Replace the memoized promise with its result, so that later
+              // builds can use it synchronously.
+              const memoized = this.files[filename]
+              if (memoized && memoized.result === files[filename]) {
+                memoized.result = results[i]
+              }
+            })
+
+            const result = this.pack(sources, resolvedFiles, entry)
+            if (this.previousResult === promise) {
+              this.previousResult = result
+            }
+            return result
+          })
+
+        this.previousResult = promise
+      }
+      else {
+        this.previousResult = this.pack(sources, files, entry)
+      }
+    }
+
+    return this.previousResult
+  }
+
+  pack(sources, files, entry) {
+    const filenames = Object.keys(files)
+
+    // Errors in the entry point take priority, as they're probably the
+    // ones the user is looking at.
+    const erroredFilename =
+      files[entry] && files[entry].error
+        ? entry
+        : filenames.find(filename => files[filename].error)
+
+    // The entry file may have been removed, or misnamed in the `entry` prop
+    const error =
+      !files.hasOwnProperty(entry)
+        ? createMissingEntryError(entry, filenames)
+        : erroredFilename ? files[erroredFilename].error : null
+
+    // Turn the transformed sources into a single executable source that
+    // can be passed to `prepare`, so long as there are no errors. We keep
+    // track of the line at which each file starts within the packed source
+    // so that errors can be mapped back to the original source.
+    const packed = error ? null : this.packer(files, entry)
+
+    // Warnings don't prevent execution, so they're collected from all files
+    const warnings = [].concat(...filenames.map(filename => files[filename].warnings || []))
+
+    return {
+      sources,
+      files,
+      entry,
+      error,
+      warnings,
+      packedSource: packed && packed.source,
+      offsets: packed ? packed.offsets : {},
+    }
   }
 }
 
 
+/**
+ * Returns a string that identifies the given object or function until the
+ * page is reloaded. This is used to identify transforms without a key, and
+ * can be included within a `transformKey` to identify transform options.
+ *
+ * As these strings don't survive reloads, results for transform keys that
+ * contain them are never persisted.
+ */
+const identityKeys = new WeakMap
+let nextIdentityKey = 1
+export function getIdentityKey(object) {
+  let key = identityKeys.get(object)
+  if (!key) {
+    key = '\0'+(nextIdentityKey++)
+    identityKeys.set(object, key)
+  }
+  return key
+}
 
-function defaultPack(source, require, window) {
-  try {
-    const exports = {}
-    const module = { exports: exports }
-
-    const execute = new Function(
-      'window',
-      'setTimeout',
-      'setInterval',
-      'requestAnimationFrame',
-      'fetch',
-      'History',
-      'console',
-      'module',
-      'exports',
-      'require',
-      source
-    )
-    execute(
-      window,
-      window.setTimeout,
-      window.setInterval,
-      window.requestAnimationFrame,
-      window.fetch,
-      window.History,
-      window.console,
-      module,
-      exports,
-      require,
+function createMissingEntryError(entry, filenames) {
+  const available = filenames.map(filename => '"'+filename+'"').join(', ')
+  return createTransformError(
+    new Error(`Cannot find entry file "${entry}". Available files are: ${available}.`),
+    '',
+    entry
+  )
+}
+
+function isPromise(x) {
+  return !!x && typeof x.then === 'function'
+}
+
+function normalizeTransformResult(result, source, filename) {
+  if (isPromise(result)) {
+    return result.then(
+      result => normalizeTransformResult(result, source, filename),
+      error => ({
+        transformedSource: null,
+        executableSource: null,
+        map: null,
+        error: createTransformError(error, source, filename),
+      })
     )
+  }
+
+  if (!result.error && !(result.warnings && result.warnings.length)) {
+    return result
+  }
+
+  return {
+    ...result,
+    error: result.error && createTransformError(result.error, source, filename),
+    warnings: (result.warnings || []).map(warning => createTransformError(warning, source, filename)),
+  }
+}
+
+
+function transformJSON(source) {
+  try {
+    const executableSource = 'module.exports = ' + JSON.stringify(JSON.parse(source))
+
+    return {
+      transformedSource: executableSource,
+      executableSource: executableSource,
+      error: null,
+    }
+  }
+  catch (error) {
+    return {
+      transformedSource: null,
+      executableSource: null,
+      error,
+    }
+  }
+}
+
+function transformText(source) {
+  const executableSource = 'module.exports = ' + JSON.stringify(source)
+
+  return {
+    transformedSource: executableSource,
+    executableSource: executableSource,
+    error: null,
+  }
+}
+
+// Stylesheets are injected when they're required. They're passed to the
+// window's `__breadboardInjectStyle__` function so that they can be scoped to
+// the breadboard's mount and removed on reset; where this isn't available,
+// e.g. in a sandbox, they're added directly to the document.
+//
+// Files ending in `.module.css` are treated as CSS modules, exporting an
+// object that maps class names to their localized names. Other stylesheets
+// export their source.
+function transformCSS(source, filename) {
+  const isModule = /\.module\.css$/.test(filename)
+  const { css, classNames } = isModule ? localizeCSS(source, filename) : { css: source }
+
+  const executableSource = [
+    'var css = '+JSON.stringify(css)+';',
+    'if (window.__breadboardInjectStyle__) {',
+    '  window.__breadboardInjectStyle__('+JSON.stringify(filename)+', css);',
+    '}',
+    'else if (typeof document !== "undefined") {',
+    '  var style = document.createElement("style");',
+    '  style.textContent = css;',
+    '  document.head.appendChild(style);',
+    '}',
+    'module.exports = '+(isModule ? JSON.stringify(classNames) : 'css')+';',
+  ].join('\n')
+
+  return {
+    transformedSource: executableSource,
+    executableSource: executableSource,
+    error: null,
+  }
+}
+
+const defaultTransforms = [
+  { test: /\.json$/, transform: transformJSON, key: 'json' },
+  { test: /\.css$/, transform: transformCSS, key: 'css' },
+  { test: /\.(txt|html|svg)$/, transform: transformText, key: 'text' },
+]
+
 
-    const component = exports.default
-
-    return (mount, props={}) => {
-      if (component) {
-        try {
-          ReactDOM.render(
-            React.createElement(component, props),
-            mount
-          )
-        }
-        catch (err) {
-          return err
-        }
+// This runtime is evaluated in the same scope as the packed modules, with the
+// `require` function passed to the breadboard available as `require`.
+const packRuntime = `
+var __breadboardHostRequire__ = require;
+var __breadboardCache__ = {};
+// Extensionless requests try these extensions in order, so that e.g.
+// "./Button" finds "Button.js" before "Button.css".
+var __breadboardExtensions__ = ['', '.js', '.jsx', '.ts', '.tsx', '.json'];
+function __breadboardResolve__(from, name) {
+  if (name.charAt(0) !== '.') {
+    return null;
+  }
+  var segments = from.split('/').slice(0, -1).concat(name.split('/'));
+  var path = [];
+  for (var i = 0; i < segments.length; i++) {
+    if (segments[i] === '..') {
+      path.pop();
+    }
+    else if (segments[i] !== '.' && segments[i] !== '') {
+      path.push(segments[i]);
+    }
+  }
+  var base = path.join('/');
+  var filenames = Object.keys(__breadboardModules__);
+  var candidates = [base, base + '/index'];
+  for (var j = 0; j < candidates.length; j++) {
+    for (var e = 0; e < __breadboardExtensions__.length; e++) {
+      if (__breadboardModules__.hasOwnProperty(candidates[j] + __breadboardExtensions__[e])) {
+        return candidates[j] + __breadboardExtensions__[e];
       }
     }
+    for (var k = 0; k < filenames.length; k++) {
+      if (filenames[k].replace(/\\.[^./]+$/, '') === candidates[j]) {
+        return filenames[k];
+      }
+    }
+  }
+  throw new Error('Cannot find module "' + name + '" from "' + from + '"');
+}
+function __breadboardRequire__(from, name) {
+  var filename = __breadboardResolve__(from, name);
+  if (filename === null) {
+    return __breadboardHostRequire__(name);
   }
-  catch (err) {
-    return () => err
+  if (!__breadboardCache__.hasOwnProperty(filename)) {
+    var module = __breadboardCache__[filename] = { exports: {} };
+    var localRequire = function(name) {
+      return __breadboardRequire__(filename, name);
+    };
+    localRequire.import = function(name) {
+      return __breadboardImport__(filename, name);
+    };
+    __breadboardModules__[filename](module, module.exports, localRequire);
   }
+  return __breadboardCache__[filename].exports;
+}
+function __breadboardImport__(from, name) {
+  return new Promise(function(resolve) {
+    if (__breadboardResolve__(from, name) === null && __breadboardHostRequire__.import) {
+      resolve(__breadboardHostRequire__.import(name));
+    }
+    else {
+      var exports = __breadboardRequire__(from, name);
+      resolve(exports && exports.__esModule ? exports : Object.assign({ default: exports }, exports));
+    }
+  });
+}
+`
+
+function countLines(str) {
+  return str.split('\n').length - 1
+}
+
+// Gives the breadboard's console a function that evaluates input within the
+// entry file's scope. It is inserted after any directives on the first line,
+// so that line numbers within the file don't change.
+const directivesPattern = /^(?:\s*(['"])[^'"\n]*\1;)*/
+const evaluatorSource =
+  'window.__breadboardSetEvaluator__ && '+
+  'window.__breadboardSetEvaluator__(function() { return eval(arguments[0]) });'
+function addEvaluator(source) {
+  const index = directivesPattern.exec(source)[0].length
+  return source.slice(0, index)+evaluatorSource+source.slice(index)
+}
+
+/**
+ * Packs a set of transformed files into a single CommonJS source whose
+ * `module.exports` are the exports of the entry file. Relative `require()`
+ * calls are resolved between the files, while any other `require()` calls
+ * are passed through to the breadboard's `require` function.
+ *
+ * Returns the packed `source`, and an `offsets` object containing the number
+ * of lines that precede each file within the packed source.
+ *
+ * Stylesheets that aren't CSS modules are required before the entry file,
+ * so that they're applied even if they aren't required by any other file.
+ *
+ * When there is only a single file, its executable source is used as-is,
+ * aside from the code that lets the console evaluate input within the entry
+ * file's scope.
+ */
+export function defaultPack(files, entry) {
+  const filenames = Object.keys(files)
+
+  if (filenames.length === 1) {
+    return {
+      source: addEvaluator(files[entry].executableSource),
+      offsets: { [entry]: 0 },
+    }
+  }
+
+  const offsets = {}
+  let source = 'var __breadboardModules__ = {\n'
+
+  filenames.forEach((filename, i) => {
+    source += JSON.stringify(filename)+': function(module, exports, require) {\n'
+    offsets[filename] = countLines(source)
+    const executableSource = files[filename].executableSource
+    source += (filename === entry ? addEvaluator(executableSource) : executableSource)+'\n}'+(i < filenames.length - 1 ? ',\n' : '\n')
+  })
+
+  const stylesheets = filenames.filter(filename => /\.css$/.test(filename) && !/\.module\.css$/.test(filename))
+
+  source +=
+    '};\n'+
+    packRuntime+
+    stylesheets.map(filename => '__breadboardRequire__("", '+JSON.stringify('./'+filename)+');\n').join('')+
+    'module.exports = __breadboardRequire__("", '+JSON.stringify('./'+entry)+');\n'
+
+  return { source, offsets }
 }
@@ -1,10 +1,107 @@
 import React, { Component, PropTypes } from 'react'
 import ReactDOM from 'react-dom'
+import ReactDOMServer from 'react-dom/server'
+import { Controller, createController } from 'hatt'
 import Breadboard from './Breadboard'
+import { executeModule } from './FakeWindow'
+import createHotPrepare from './hot'
+import getPropControls from './propControls'
 import ResponsiveDualModeController from './ResponsiveDualModeController'
-import { transform } from 'babel-core'
-import latestPreset from 'babel-preset-latest'
-import reactPreset from 'babel-preset-react'
+import selectStory from './stories'
+import { getTransformKey, runTransform } from './transforms'
+
+
+// Creates a prepare function that renders the story with the given id, or
+// the first story (usually the default export) if there is no such story.
+function createComponentPrepare(storyId) {
+  function componentPrepare(source, require, window) {
+    try {
+      const { component, props: storyProps, stories, story } =
+        selectStory(executeModule(source, require, window), storyId)
+
+      const renderer = (mount, props={}) => {
+        if (component) {
+          try {
+            ReactDOM.render(
+              React.createElement(component, { ...storyProps, ...props }),
+              mount
+            )
+          }
+          catch (err) {
+            return err
+          }
+        }
+      }
+      Object.assign(renderer, { component, stories, story })
+
+      return renderer
+    }
+    catch (err) {
+      return () => err
+    }
+  }
+
+  componentPrepare.reusesMarkup = true
+
+  return componentPrepare
+}
+
+function createComponentRenderToString(storyId) {
+  return function componentRenderToString(source, require, window, props={}) {
+    try {
+      const { component, props: storyProps } =
+        selectStory(executeModule(source, require, window), storyId)
+
+      return component
+        ? ReactDOMServer.renderToString(React.createElement(component, { ...storyProps, ...props }))
+        : ''
+    }
+    catch (err) {
+      return err
+    }
+  }
+}
+
+function createPrepare(hot, storyId) {
+  return hot
+    ? createHotPrepare(exports => selectStory(exports, storyId))
+    : createComponentPrepare(storyId)
+}
+
+
+// Combines the props from the `viewController` prop with the values that
+// have been entered into the props editor.
+class PropsController extends Controller {
+  static actions = {}
+
+  output() {
+    return {
+      ...this.env.viewProps,
+      ...this.env.values,
+    }
+  }
+}
+
+
+// Converts a value received from a props editor control into a value of the
+// control's type. Values of `undefined` reset the prop.
+function parseControlValue(control, value) {
+  if (value === undefined) {
+    return undefined
+  }
+
+  if (control.type === 'number') {
+    return value === '' || isNaN(Number(value)) ? undefined : Number(value)
+  }
+  if (control.type === 'bool') {
+    return !!value
+  }
+  if (control.type === 'oneOf' && control.options.indexOf(value) === -1) {
+    // Select elements only deal in strings
+    return control.options.find(option => String(option) === String(value))
+  }
+  return value
+}
 
 
 export default class RawBreadboard extends Component {
@@ -13,27 +110,77 @@ export default class RawBreadboard extends Component {
      * The default mode to display upon load when the screen only contains
      * space for a single pane.
      */
-    defaultMode: PropTypes.oneOf(['source', 'view', 'transformed', 'console']),
+    defaultMode: PropTypes.oneOf(['source', 'view', 'transformed', 'console', 'props']),
 
     /**
      * Selects the secondary pane to display in the case that the user is
      * viewing the source pane on a small screen, and then the screen
      * expands to allow a second pane.
      */
-    defaultSecondary: PropTypes.oneOf(['view', 'transformed', 'console']).isRequired,
+    defaultSecondary: PropTypes.oneOf(['view', 'transformed', 'console', 'props']).isRequired,
+
+    /**
+     * The language that the source is written in: `javascript`, `flow` or
+     * `typescript`. TypeScript requires the `typescript` package to be
+     * installed.
+     */
+    language: PropTypes.oneOf(['javascript', 'flow', 'typescript']),
+
+    /**
+     * Additional Babel `presets`, `plugins` and `parserOpts` to use when
+     * transforming the source. Presets run before the default presets.
+     * Breadboards with custom options are always transformed on the main
+     * thread, as options can't be passed to a transform worker.
+     */
+    babelOptions: PropTypes.shape({
+      presets: PropTypes.array,
+      plugins: PropTypes.array,
+      parserOpts: PropTypes.object,
+    }),
+
+    /**
+     * If true, edits to the source will swap the implementation of the
+     * rendered component in place, preserving its state where possible.
+     * Ignored when a custom `prepare` function is provided.
+     */
+    hot: PropTypes.bool,
 
     /**
-     * The breadboard's theme.
+     * Selects the story that is initially rendered. The default export is
+     * always the first story, with the id `default`. Other stories are named
+     * exports containing either a component, or an object with `name`,
+     * `props` and an optional `component`, which defaults to the default
+     * export. Defaults to the first story.
+     */
+    defaultStory: PropTypes.string,
+
+    /**
+     * A transform worker created with `createTransformWorker`. When
+     * provided, the source will be transformed off the main thread.
+     */
+    transformWorker: PropTypes.object,
+
+    /**
+     * A controller whose output is passed as props to the rendered component.
+     * Values entered into the props editor take priority over these props.
+     */
+    viewController: PropTypes.object,
+
+    /**
+     * The breadboard's theme. If `renderPropsEditor` is provided, it will be
+     * called with `{ layout, controls, onReset }` to render the props editor.
      */
     theme: PropTypes.shape({
       renderBreadboard: PropTypes.func,
       renderEditor: PropTypes.func,
+      renderPropsEditor: PropTypes.func,
     }).isRequired,
   }
 
   static defaultProps = {
     defaultMode: 'source',
     defaultSecondary: 'view',
+    language: 'javascript',
   }
 
   constructor(props) {
@@ -44,6 +191,31 @@ export default class RawBreadboard extends Component {
       defaultSecondary: props.defaultSecondary,
       defaultMode: props.defaultMode,
     })
+
+    this.state = {
+      story: props.defaultStory,
+      prepare: createPrepare(props.hot, props.defaultStory),
+
+      propValues: {},
+
+      // The text entered for `json` props, which may not be valid JSON
+      propTexts: {},
+    }
+
+    // Previews are only rendered to a string initially, so this always
+    // renders the default story.
+    this.renderToString = createComponentRenderToString(props.defaultStory)
+
+    this.propsController = createController(PropsController, {
+      viewProps: props.viewController ? props.viewController.get() : {},
+      values: this.state.propValues,
+    })
+  }
+
+  componentDidMount() {
+    if (this.props.viewController) {
+      this.props.viewController.subscribe(this.handleViewChange)
+    }
   }
 
   componentWillReceiveProps(nextProps) {
@@ -52,44 +224,184 @@ export default class RawBreadboard extends Component {
           maxSinglePaneWidth: nextProps.theme.maxSinglePaneWidth,
       })
     }
+    if (nextProps.hot !== this.props.hot) {
+      this.setState({
+        prepare: createPrepare(nextProps.hot, this.state.story),
+      })
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.props.viewController) {
+      this.props.viewController.unsubscribe(this.handleViewChange)
+    }
+    this.propsController.destroy()
+  }
+
+  handleViewChange = (viewProps) => {
+    this.propsController.setEnv({
+      viewProps,
+      values: this.state.propValues,
+    })
+
+    // The props editor displays the view's props where they haven't been
+    // overridden.
+    this.forceUpdate()
+  }
+
+  setPropValue(name, value, text) {
+    const propValues = Object.assign({}, this.state.propValues)
+    const propTexts = Object.assign({}, this.state.propTexts)
+
+    if (value === undefined) {
+      delete propValues[name]
+    }
+    else {
+      propValues[name] = value
+    }
+    if (text === undefined) {
+      delete propTexts[name]
+    }
+    else {
+      propTexts[name] = text
+    }
+
+    this.setState({ propValues, propTexts })
+    this.propsController.setEnv({
+      viewProps: this.props.viewController ? this.props.viewController.get() : {},
+      values: propValues,
+    })
+  }
+
+  // Each story gets a new prepare function, so that switching stories
+  // remounts the preview even in hot mode.
+  handleSelectStory = (story) => {
+    this.setState({
+      story,
+      prepare: createPrepare(this.props.hot, story),
+    })
+  }
+
+  handleResetProps = () => {
+    this.setState({ propValues: {}, propTexts: {} })
+    this.propsController.setEnv({
+      viewProps: this.props.viewController ? this.props.viewController.get() : {},
+      values: {},
+    })
+  }
+
+  getPropControls(component) {
+    const viewProps = this.props.viewController ? this.props.viewController.get() : {}
+    const { propValues, propTexts } = this.state
+
+    return getPropControls(component).map(control => {
+      const name = control.name
+      const value =
+        propValues.hasOwnProperty(name) ? propValues[name] :
+        viewProps[name] !== undefined ? viewProps[name] :
+        control.defaultValue
+
+      const result = {
+        ...control,
+        value,
+        onChange: (value) => {
+          if (control.type === 'json') {
+            this.handleChangeJSON(name, value)
+          }
+          else {
+            this.setPropValue(name, parseControlValue(control, value))
+          }
+        },
+      }
+
+      // JSON controls are edited as text, which only replaces the value
+      // once it parses.
+      if (control.type === 'json') {
+        result.text = propTexts.hasOwnProperty(name) ? propTexts[name] : stringifyJSON(value)
+        result.error = this.getJSONError(result.text)
+      }
+
+      return result
+    })
+  }
+
+  handleChangeJSON(name, text) {
+    if (text === undefined || text.trim() === '') {
+      this.setPropValue(name, undefined)
+    }
+    else if (this.getJSONError(text)) {
+      this.setPropValue(name, this.state.propValues[name], text)
+    }
+    else {
+      this.setPropValue(name, JSON.parse(text), text)
+    }
+  }
+
+  getJSONError(text) {
+    try {
+      JSON.parse(text)
+    }
+    catch (err) {
+      return text.trim() === '' ? null : err
+    }
+    return null
   }
 
   renderTheme = (props) => {
-    return this.props.theme.renderBreadboard(Object.assign({}, props, {
+    const { component, ...other } = props
+    const propControls = this.getPropControls(component)
+
+    return this.props.theme.renderBreadboard(Object.assign({}, other, {
       reactVersion: React.version,
       appId: this.props.appId,
+      stories: props.stories || [],
+      onSelectStory: this.handleSelectStory,
+      propControls,
+      renderPropsEditorElement:
+        this.props.theme.renderPropsEditor
+          ? this.renderPropsEditorElement.bind(this, propControls)
+          : undefined,
     }))
   }
 
+  renderPropsEditorElement(controls, themeableProps={}) {
+    return this.props.theme.renderPropsEditor({
+      layout: themeableProps.layout,
+      controls,
+      onReset: this.handleResetProps,
+    })
+  }
+
   render() {
-    const { ...other } = this.props
+    const { hot, defaultStory, ...other } = this.props
 
     return (
       <Breadboard
         {...other}
+        prepare={other.prepare || this.state.prepare}
+        renderToString={other.renderToString === undefined ? this.renderToString : other.renderToString}
         modesController={this.modesController}
+        viewController={this.propsController}
         renderEditorElement={this.props.theme.renderEditor}
         theme={this.renderTheme}
         transform={this.transform}
+        transformKey={getTransformKey('component:'+this.props.language, this.props.babelOptions)}
       />
     )
   }
 
   transform = (source) => {
-    let transformed
-    let error = null
+    const { language, babelOptions } = this.props
+    return runTransform(this.props.transformWorker, 'component', source, { language, babelOptions })
+  }
+}
 
-    try {
-      transformed = transform(source, { presets: [reactPreset, latestPreset] }).code
-    }
-    catch (e) {
-      error = e
-    }
 
-    return {
-      transformedSource: transformed,
-      executableSource: transformed,
-      error: error, 
-    }
+function stringifyJSON(value) {
+  try {
+    return value === undefined ? '' : JSON.stringify(value, null, 2)
+  }
+  catch (err) {
+    return ''
   }
 }
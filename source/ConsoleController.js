@@ -1,29 +1,282 @@
 import { Controller } from 'hatt'
+import snapshotValue from './snapshot'
 
+
+function createTable(data, columns) {
+  const table = { columns: [], rows: [] }
+
+  if (!data || typeof data !== 'object') {
+    return table
+  }
+
+  const found = []
+  let hasValues = false
+
+  for (let index of Object.keys(data)) {
+    const row = data[index]
+    const values = {}
+
+    if (row && typeof row === 'object') {
+      for (let column of Object.keys(row)) {
+        if (!columns || columns.indexOf(column) !== -1) {
+          values[column] = snapshotValue(row[column])
+          if (found.indexOf(column) === -1) {
+            found.push(column)
+          }
+        }
+      }
+    }
+    else {
+      hasValues = true
+      values.Value = snapshotValue(row)
+    }
+
+    table.rows.push({ index, values })
+  }
+
+  table.columns = columns ? columns.slice(0) : found
+  if (hasValues) {
+    table.columns.push('Value')
+  }
+
+  return table
+}
+
+
+const MAX_INPUT_HISTORY = 100
+
+
+/**
+ * Implements the `console` object that is made available to breadboard code.
+ *
+ * Each message is stored as an object with a `type`, `args`, the group
+ * `depth` that it was logged at, and a `timestamp`. The `args` are snapshots
+ * created with `snapshotValue`, so that they can't change after they're
+ * logged. Some types also contain extra information:
+ *
+ * - `group`: `collapsed`
+ * - `table`: `table`, with `columns` and `rows` of `{ index, values }`, where
+ *   the values are also snapshots
+ * - `time`: `label` and `duration` in milliseconds
+ * - `count`: `label` and `count`
+ * - `trace`: `stack`
+ *
+ * The controller also manages a line of input, which is evaluated by the
+ * `evaluate` function passed in via the environment. The input is logged as
+ * an `input` message, followed by a `result` message containing the value it
+ * evaluated to, or an `error` message if it threw. Submitted input is kept in
+ * a history that survives resets, which can be stepped through with the
+ * `previousInput` and `nextInput` actions.
+ *
+ * To prevent runaway code from using unbounded memory, only the most recent
+ * `maxMessages` messages are kept.
+ */
 export default class ConsoleController extends Controller {
   static actions = {
     log(...args) {
-      this.logMessage('log', ...args)
+      this.logMessage('log', args)
+    },
+    info(...args) {
+      this.logMessage('info', args)
+    },
+    debug(...args) {
+      this.logMessage('debug', args)
     },
     error(...args) {
-      this.logMessage('error', ...args)
+      this.logMessage('error', args)
     },
     warn(...args) {
-      this.logMessage('warn', ...args)
+      this.logMessage('warn', args)
+    },
+    dir(value) {
+      this.logMessage('dir', [value])
+    },
+    dirxml(...args) {
+      this.logMessage('dir', args)
+    },
+    trace(...args) {
+      this.logMessage('trace', args, { stack: new Error().stack })
+    },
+    table(data, columns) {
+      this.logMessage('table', [data], { table: createTable(data, columns) })
+    },
+
+    assert(condition, ...args) {
+      if (!condition) {
+        this.logMessage('assert', ['Assertion failed:'].concat(args.length ? args : ['console.assert']))
+      }
+    },
+
+    group(...args) {
+      this.logMessage('group', args, { collapsed: false }, { depth: this.state.depth + 1 })
+    },
+    groupCollapsed(...args) {
+      this.logMessage('group', args, { collapsed: true }, { depth: this.state.depth + 1 })
+    },
+    groupEnd() {
+      this.setState({
+        ...this.state,
+        depth: Math.max(0, this.state.depth - 1),
+      })
+    },
+
+    time(label='default') {
+      if (this.state.timers.hasOwnProperty(label)) {
+        this.logMessage('warn', [`Timer '${label}' already exists`])
+      }
+      else {
+        this.setState({
+          ...this.state,
+          timers: { ...this.state.timers, [label]: Date.now() },
+        })
+      }
+    },
+    timeLog(label='default', ...args) {
+      this.logTime(label, args, false)
+    },
+    timeEnd(label='default') {
+      this.logTime(label, [], true)
+    },
+
+    count(label='default') {
+      const count = (this.state.counters[label] || 0) + 1
+      this.logMessage('count', [`${label}: ${count}`], { label, count }, {
+        counters: { ...this.state.counters, [label]: count },
+      })
+    },
+    countReset(label='default') {
+      this.setState({
+        ...this.state,
+        counters: { ...this.state.counters, [label]: 0 },
+      })
     },
 
     clear() {
-      this.setState({ messages: [] })
-    }
+      this.setState({
+        ...this.state,
+        messages: [],
+        droppedMessageCount: 0,
+      })
+    },
+
+    // Not part of the standard console API; used to clear all state between
+    // executions. The input is kept, as it belongs to the reader.
+    reset() {
+      this.setState({
+        ...this.constructor.initialState,
+        input: this.state.input,
+        inputHistory: this.state.inputHistory,
+        historyIndex: this.state.historyIndex,
+        draftInput: this.state.draftInput,
+      })
+    },
+
+    setInput(input) {
+      this.setState({ ...this.state, input })
+    },
+    previousInput() {
+      const { inputHistory, historyIndex } = this.state
+      if (inputHistory.length && historyIndex !== 0) {
+        const index = historyIndex === null ? inputHistory.length - 1 : historyIndex - 1
+        this.setState({
+          ...this.state,
+          input: inputHistory[index],
+          historyIndex: index,
+          draftInput: historyIndex === null ? this.state.input : this.state.draftInput,
+        })
+      }
+    },
+    nextInput() {
+      const { inputHistory, historyIndex } = this.state
+      if (historyIndex !== null) {
+        const index = historyIndex + 1
+        this.setState({
+          ...this.state,
+          input: index < inputHistory.length ? inputHistory[index] : this.state.draftInput,
+          historyIndex: index < inputHistory.length ? index : null,
+        })
+      }
+    },
+    submitInput() {
+      const input = this.state.input
+      if (!input.trim()) {
+        return
+      }
+
+      const inputHistory = this.state.inputHistory
+      this.setState({
+        ...this.state,
+        input: '',
+        inputHistory:
+          inputHistory[inputHistory.length - 1] === input
+            ? inputHistory
+            : inputHistory.concat(input).slice(-MAX_INPUT_HISTORY),
+        historyIndex: null,
+        draftInput: '',
+      })
+
+      this.logMessage('input', [input])
+      try {
+        const result = this.env.evaluate(input)
+        this.logMessage('result', [result])
+      }
+      catch (error) {
+        this.logMessage('error', [error])
+      }
+    },
   }
 
   static initialState = {
     messages: [],
+    droppedMessageCount: 0,
+    depth: 0,
+    timers: {},
+    counters: {},
+    input: '',
+    inputHistory: [],
+    historyIndex: null,
+    draftInput: '',
+  }
+
+  logTime(label, args, end) {
+    const start = this.state.timers[label]
+
+    if (start === undefined) {
+      this.logMessage('warn', [`Timer '${label}' does not exist`])
+      return
+    }
+
+    const duration = Date.now() - start
+    const timers = { ...this.state.timers }
+    if (end) {
+      delete timers[label]
+    }
+
+    this.logMessage('time', [`${label}: ${duration}ms`].concat(args), { label, duration }, { timers })
   }
 
-  logMessage(type, ...args) {
+  logMessage(type, args, details, stateUpdates) {
+    const maxMessages = this.env.maxMessages || 1000
+    const message = {
+      type,
+      args: args.map(snapshotValue),
+      depth: this.state.depth,
+      timestamp: Date.now(),
+      ...details,
+    }
+
+    let messages = this.state.messages.concat(message)
+    let droppedMessageCount = this.state.droppedMessageCount
+    if (messages.length > maxMessages) {
+      droppedMessageCount += messages.length - maxMessages
+      messages = messages.slice(messages.length - maxMessages)
+    }
+
     this.setState({
-      messages: this.state.messages.concat({ type, args })
+      ...this.state,
+      ...stateUpdates,
+      messages,
+      droppedMessageCount,
     })
   }
 
@@ -31,6 +284,8 @@ export default class ConsoleController extends Controller {
     return {
       actions: this.actions,
       messages: this.state.messages,
+      droppedMessageCount: this.state.droppedMessageCount,
+      input: this.state.input,
     }
   }
 }
@@ -0,0 +1,242 @@
+const ORIGIN = 'http://localhost'
+
+
+// `URL` is used where it's available, as it handles more edge cases than the
+// fallback below.
+const hasURL = (() => {
+  try {
+    return new URL('a', 'http://b/').href === 'http://b/a'
+  }
+  catch (e) {
+    return false
+  }
+})()
+
+function isHTTP(href) {
+  return /^https?:/i.test(href)
+}
+
+// URLs without an authority, e.g. `mailto:`, `about:blank` and `data:` URLs,
+// have an empty host, with everything up to the search in the pathname.
+function parseURL(href) {
+  if (hasURL) {
+    try {
+      const { protocol, host, pathname, search, hash } = new URL(href)
+      return { protocol, host, pathname, search, hash }
+    }
+    catch (e) { }
+  }
+
+  const match = String(href).match(/^([a-z][a-z0-9+.-]*:)(?:\/\/([^/?#]*))?([^?#]*)(\?[^#]*)?(#.*)?$/i)
+  if (!match) {
+    return { protocol: '', host: '', pathname: '', search: '', hash: '' }
+  }
+  return {
+    protocol: match[1],
+    host: match[2] || '',
+    pathname: match[3] || (match[2] === undefined ? '' : '/'),
+    search: match[4] && match[4] !== '?' ? match[4] : '',
+    hash: match[5] && match[5] !== '#' ? match[5] : '',
+  }
+}
+
+// Resolves a possibly relative URL against an absolute base URL
+function resolveURL(url, base) {
+  url = String(url)
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+    return url
+  }
+
+  if (hasURL) {
+    try {
+      return new URL(url, base).href
+    }
+    catch (e) { }
+  }
+
+  const { protocol, host, pathname, search } = parseURL(base)
+
+  if (url.slice(0, 2) === '//') {
+    return protocol+url
+  }
+  if (url[0] === '/') {
+    return protocol+'//'+host+url
+  }
+  if (url[0] === '?') {
+    return protocol+'//'+host+pathname+url
+  }
+  if (url[0] === '#' || url === '') {
+    return protocol+'//'+host+pathname+search+url
+  }
+
+  const suffixIndex = url.search(/[?#]/)
+  const path = suffixIndex === -1 ? url : url.slice(0, suffixIndex)
+  const suffix = suffixIndex === -1 ? '' : url.slice(suffixIndex)
+  const segments = pathname.split('/').slice(0, -1).concat(path.split('/'))
+  const resolved = []
+  for (let segment of segments) {
+    if (segment === '..') {
+      resolved.pop()
+    }
+    else if (segment !== '.' && segment !== '') {
+      resolved.push(segment)
+    }
+  }
+  const trailingSlash = /(^|\/)\.{0,2}$/.test(path) && resolved.length ? '/' : ''
+  return protocol+'//'+host+'/'+resolved.join('/')+trailingSlash+suffix
+}
+
+
+/**
+ * An in-memory implementation of the `history` and `location` objects, which
+ * allows breadboard code to use routers without affecting the host page's
+ * URL.
+ *
+ * `onEvent` is called with `popstate` and `hashchange` events, and `onChange`
+ * is called with the new URL whenever the location changes.
+ */
+export default class FakeHistory {
+  constructor(initialURL='/', { onEvent, onChange }={}) {
+    this.initialURL = resolveURL(initialURL, ORIGIN+'/')
+    this.onEvent = onEvent
+    this.onChange = onChange
+    this.entries = [{ href: this.initialURL, state: null }]
+    this.index = 0
+
+    const history = this
+    const location = {
+      assign: (url) => this.navigate(url, false),
+      replace: (url) => this.navigate(url, true),
+      reload: () => {},
+      toString: () => this.href,
+    }
+    for (let key of ['protocol', 'host', 'hostname', 'port', 'origin', 'pathname', 'search', 'hash', 'href']) {
+      Object.defineProperty(location, key, {
+        enumerable: true,
+        get() {
+          const url = parseURL(history.href)
+          switch (key) {
+            case 'href': return history.href
+            case 'origin': return url.host ? url.protocol+'//'+url.host : 'null'
+            case 'hostname': return url.host.split(':')[0]
+            case 'port': return url.host.split(':')[1] || ''
+            default: return url[key]
+          }
+        },
+        set(value) {
+          if (key === 'href') {
+            history.navigate(value, false)
+          }
+          else if (key === 'hash') {
+            const hash = String(value)
+            history.navigate(hash[0] === '#' ? hash : '#'+hash, false)
+          }
+          else if (key === 'pathname' || key === 'search') {
+            const url = parseURL(history.href)
+            url[key] = String(value)
+            history.navigate(url.protocol+'//'+url.host+url.pathname+url.search+url.hash, false)
+          }
+        },
+      })
+    }
+    this.location = location
+  }
+
+  get href() {
+    return this.entries[this.index].href
+  }
+
+  get length() {
+    return this.entries.length
+  }
+
+  get state() {
+    return this.entries[this.index].state
+  }
+
+  get scrollRestoration() {
+    return 'manual'
+  }
+
+  pushState = (state, title, url) => {
+    this.entries = this.entries.slice(0, this.index + 1)
+    this.entries.push({ href: url === undefined || url === null ? this.href : resolveURL(url, this.href), state })
+    this.index++
+    this.notifyChange()
+  }
+
+  replaceState = (state, title, url) => {
+    this.entries[this.index] = { href: url === undefined || url === null ? this.href : resolveURL(url, this.href), state }
+    this.notifyChange()
+  }
+
+  back = () => {
+    this.go(-1)
+  }
+
+  forward = () => {
+    this.go(1)
+  }
+
+  go = (delta=0) => {
+    const index = this.index + delta
+    if (delta !== 0 && index >= 0 && index < this.entries.length) {
+      const previousHref = this.href
+      this.index = index
+      this.notifyChange()
+      this.dispatchNavigationEvents(previousHref)
+    }
+  }
+
+  // Used when the URL is changed via `location`, or from the theme's address
+  // bar. Unlike `pushState`, this emits `popstate` and `hashchange` events, so
+  // that routers can respond to the change.
+  //
+  // Browsers hand URLs with other schemes, e.g. `mailto:` links, to other
+  // applications without changing the location, so they're ignored.
+  navigate = (url, replace=false) => {
+    const previousHref = this.href
+    const href = resolveURL(url, this.href)
+
+    if (!isHTTP(href)) {
+      return
+    }
+
+    if (replace) {
+      this.entries[this.index] = { href, state: null }
+    }
+    else {
+      this.entries = this.entries.slice(0, this.index + 1)
+      this.entries.push({ href, state: null })
+      this.index++
+    }
+
+    this.notifyChange()
+    this.dispatchNavigationEvents(previousHref)
+  }
+
+  reset() {
+    this.entries = [{ href: this.initialURL, state: null }]
+    this.index = 0
+    this.notifyChange()
+  }
+
+  dispatchNavigationEvents(previousHref) {
+    if (!this.onEvent) {
+      return
+    }
+
+    this.onEvent({ type: 'popstate', state: this.state })
+
+    if (parseURL(previousHref).hash !== parseURL(this.href).hash) {
+      this.onEvent({ type: 'hashchange', oldURL: previousHref, newURL: this.href })
+    }
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.href)
+    }
+  }
+}
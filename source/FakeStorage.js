@@ -0,0 +1,141 @@
+// The internal state of each storage object is kept here instead of on the
+// object itself, as all of its properties are treated as stored items.
+const states = new WeakMap
+
+function getState(storage) {
+  return states.get(storage)
+}
+
+// Like the real `Storage`, items can be read and written as properties. The
+// methods on the prototype take precedence over items with the same key.
+const handler = {
+  get(target, key, receiver) {
+    if (typeof key === 'symbol' || key in target) {
+      return Reflect.get(target, key, receiver)
+    }
+    const items = getState(target).items
+    return items.hasOwnProperty(key) ? items[key] : undefined
+  },
+
+  set(target, key, value, receiver) {
+    if (typeof key === 'symbol') {
+      return Reflect.set(target, key, value, receiver)
+    }
+    getState(target).proxy.setItem(key, value)
+    return true
+  },
+
+  has(target, key) {
+    return key in target || (typeof key === 'string' && getState(target).items.hasOwnProperty(key))
+  },
+
+  deleteProperty(target, key) {
+    if (typeof key === 'symbol') {
+      return Reflect.deleteProperty(target, key)
+    }
+    getState(target).proxy.removeItem(key)
+    return true
+  },
+
+  ownKeys(target) {
+    return Object.keys(getState(target).items)
+  },
+
+  getOwnPropertyDescriptor(target, key) {
+    const items = getState(target).items
+    if (typeof key === 'string' && items.hasOwnProperty(key)) {
+      return { value: items[key], writable: true, enumerable: true, configurable: true }
+    }
+  },
+
+  defineProperty(target, key, descriptor) {
+    if (typeof key === 'symbol') {
+      return Reflect.defineProperty(target, key, descriptor)
+    }
+    getState(target).proxy.setItem(key, descriptor.value)
+    return true
+  },
+}
+
+
+/**
+ * An in-memory implementation of the `Storage` interface, used to give each
+ * breadboard its own `localStorage` and `sessionStorage`.
+ *
+ * `onChange` is called whenever the stored items change.
+ */
+export default class FakeStorage {
+  constructor(initialItems={}, onChange) {
+    const proxy = new Proxy(this, handler)
+    const state = { initialItems, onChange, items: {}, proxy }
+    states.set(this, state)
+    states.set(proxy, state)
+    proxy.reset()
+    return proxy
+  }
+
+  get length() {
+    return Object.keys(getState(this).items).length
+  }
+
+  key(index) {
+    const keys = Object.keys(getState(this).items)
+    return index < keys.length ? keys[index] : null
+  }
+
+  getItem(key) {
+    const items = getState(this).items
+    key = String(key)
+    return items.hasOwnProperty(key) ? items[key] : null
+  }
+
+  setItem(key, value) {
+    const state = getState(this)
+    state.items = { ...state.items, [String(key)]: String(value) }
+    this.notifyChange()
+  }
+
+  removeItem(key) {
+    const state = getState(this)
+    key = String(key)
+    if (state.items.hasOwnProperty(key)) {
+      state.items = { ...state.items }
+      delete state.items[key]
+      this.notifyChange()
+    }
+  }
+
+  clear() {
+    getState(this).items = {}
+    this.notifyChange()
+  }
+
+  // Replaces the initial items, which will be restored on the next reset
+  setInitialItems(initialItems) {
+    getState(this).initialItems = initialItems
+  }
+
+  // Restores the initial items
+  reset() {
+    const state = getState(this)
+    const initialItems = state.initialItems
+    state.items = {}
+    for (let key of Object.keys(initialItems || {})) {
+      const value = initialItems[key]
+      state.items[key] = typeof value === 'string' ? value : JSON.stringify(value)
+    }
+    this.notifyChange()
+  }
+
+  // Returns a plain object containing the stored items
+  toObject() {
+    return getState(this).items
+  }
+
+  notifyChange() {
+    const { onChange, items } = getState(this)
+    if (onChange) {
+      onChange(items)
+    }
+  }
+}
@@ -1,36 +1,225 @@
+import { scopeCSS } from './css'
+import { withSourceURL } from './errors'
+import FakeHistory from './FakeHistory'
+import FakeStorage from './FakeStorage'
+import { LOOP_GUARD } from './loopProtection'
+import { createMockRequest, findFetchHandler, respondWithHandler } from './mockFetch'
+import { protectConsoleInput } from './transforms'
+import { now } from './util'
+
+
+/**
+ * The names of the globals that are made available to breadboard code, in
+ * addition to `window` itself.
+ */
+export const globalNames = [
+  'setTimeout',
+  'clearTimeout',
+  'setInterval',
+  'clearInterval',
+  'requestAnimationFrame',
+  'cancelAnimationFrame',
+  'fetch',
+  'History',
+  'history',
+  'location',
+  'addEventListener',
+  'removeEventListener',
+  'localStorage',
+  'sessionStorage',
+  'console',
+]
+
+
+// The name of the action that restarts the execution time limit's clock
+const BEGIN_EXECUTION = '__breadboardBeginExecution__'
+
+
+/**
+ * Restarts the execution time limit of the fake window whose actions are
+ * passed in. This should be called whenever control enters breadboard code.
+ */
+export function beginExecution(window) {
+  if (window && typeof window[BEGIN_EXECUTION] === 'function') {
+    window[BEGIN_EXECUTION]()
+  }
+}
+
+
+/**
+ * Executes a CommonJS module's source with the given fake window's actions
+ * available as globals, returning the module's exports.
+ */
+export function executeModule(source, require, window) {
+  beginExecution(window)
+
+  const exports = {}
+  const module = { exports: exports }
+
+  const execute = new Function(
+    'window',
+    ...globalNames,
+    'module',
+    'exports',
+    'require',
+    withSourceURL(source)
+  )
+  execute(
+    window,
+    ...globalNames.map(name => window[name]),
+    module,
+    exports,
+    require,
+  )
+
+  return module.exports
+}
+
+
+// Used in place of the real window by inert fake windows, e.g. on the server.
+// As nothing would be around to see the result, timers, animation frames and
+// events never fire, and requests never complete.
+let nextInertId = 1
+const inertWindow = {
+  setTimeout: () => nextInertId++,
+  clearTimeout: () => {},
+  setInterval: () => nextInertId++,
+  clearInterval: () => {},
+  requestAnimationFrame: () => nextInertId++,
+  cancelAnimationFrame: () => {},
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  fetch: () => new Promise(() => {}),
+}
+
+
 export default class FakeWindow {
-  constructor(console) {
+  constructor(console, { onError, fetchHandlers, initialURL, onLocationChange, storage={}, onStorageChange, executionTimeLimit=1000, scopeId='breadboard', inert=typeof window === 'undefined' }={}) {
     this.seq = 1
 
+    // Inert windows can be used where there is no real window, or where code
+    // is executed only to render it to a string. They don't touch the real
+    // window or document.
+    this.inert = inert
+    this.window = inert ? inertWindow : window
+
+    // Stylesheets are scoped to elements within an element with this
+    // attribute, which should be added to the breadboard's mount. The id
+    // needs to be the same on the server and in the browser, so it's passed
+    // in by the breadboard.
+    this.scopeAttribute = 'data-breadboard-scope'
+    this.scopeId = scopeId
+    this.styles = {}
+    this.onError = onError
+
+    // Set by the executed code to a function that evaluates console input
+    // within the entry file's scope.
+    this.evaluator = null
+
+    // Instrumented code calls the loop guard on every loop iteration and
+    // function call. The time at which control entered breadboard code
+    // within the current task is stored here, and cleared once the task
+    // completes.
+    this.executionTimeLimit = executionTimeLimit
+    this.guardStart = null
+    this.guardResetPending = false
+    this.fetchHandlers = fetchHandlers
+
     this.timeouts = []
     this.intervals = []
     this.frames = []
 
+    // While paused, timeouts and animation frames that fire are held here
+    // until `resume` is called, while interval ticks are skipped.
+    this.paused = false
+    this.pausedTimeouts = new Map
+    this.pausedFrames = new Map
+
+    // Listeners for events that are emitted by the fake history object are
+    // stored here, while listeners for other events are added to the real
+    // window, and are stored so that they can be removed on reset.
+    this.historyListeners = { popstate: [], hashchange: [] }
+    this.windowListeners = []
+
+    this.history = new FakeHistory(initialURL, {
+      onEvent: this.handleHistoryEvent,
+      onChange: onLocationChange,
+    })
+
+    // Each breadboard gets its own storage, so that examples on the same page
+    // don't interfere with each other, or with the host page.
+    this.localStorage = new FakeStorage(storage.local, onStorageChange)
+    this.sessionStorage = new FakeStorage(storage.session, onStorageChange)
+
+    // Keeps track of the `seq` at which each promise returned by `fetch` (or
+    // derived from one) was created, so that unhandled rejections can be
+    // attributed to the run that caused them.
+    this.promiseSeqs = new WeakMap
+
+    if (!inert && this.window.addEventListener) {
+      this.window.addEventListener('unhandledrejection', this.handleUnhandledRejection)
+    }
+
     this.actions = {
       console: console,
 
-      setTimeout: (cb, ms) => {
-        const id = window.setTimeout(cb, ms)
+      setTimeout: (cb, ms, ...args) => {
+        const callback = this.wrapCallback(cb)
+        const id = this.window.setTimeout(() => {
+          if (this.paused) {
+            this.pausedTimeouts.set(id, () => callback(...args))
+          }
+          else {
+            callback(...args)
+          }
+        }, ms)
         this.timeouts.push(id)
         return id
       },
 
-      setInterval: (cb, ms) => {
-        const id = window.setInterval(cb, ms)
+      clearTimeout: (id) => {
+        this.window.clearTimeout(id)
+        this.pausedTimeouts.delete(id)
+      },
+
+      setInterval: (cb, ms, ...args) => {
+        const callback = this.wrapCallback(cb)
+        const id = this.window.setInterval(() => {
+          if (!this.paused) {
+            callback(...args)
+          }
+        }, ms)
         this.intervals.push(id)
         return id
       },
 
+      clearInterval: (id) => {
+        this.window.clearInterval(id)
+      },
+
       requestAnimationFrame: (cb) => {
-        const id = window.requestAnimationFrame(cb)
+        const callback = this.wrapCallback(cb)
+        const id = this.window.requestAnimationFrame((timestamp) => {
+          if (this.paused) {
+            this.pausedFrames.set(id, callback)
+          }
+          else {
+            callback(timestamp)
+          }
+        })
         this.frames.push(id)
         return id
       },
 
+      cancelAnimationFrame: (id) => {
+        this.window.cancelAnimationFrame(id)
+        this.pausedFrames.delete(id)
+      },
+
       fetch: (...args) => {
         const seq = this.seq
-        return new Promise((resolve, reject) =>
-          window.fetch(...args).then(
+        return this.trackPromise(new Promise((resolve, reject) =>
+          this.fetch(...args).then(
             (...success) => {
               if (seq === this.seq) {
                 resolve(...success)
@@ -42,34 +231,338 @@ export default class FakeWindow {
               }
             }
           )
-        )
+        ), seq)
       },
 
       History: {},
+      history: this.history,
+      location: this.history.location,
+      localStorage: this.localStorage,
+      sessionStorage: this.sessionStorage,
+
+      addEventListener: (type, listener, options) => {
+        if (this.historyListeners[type]) {
+          this.historyListeners[type].push(listener)
+        }
+        else {
+          const wrappedListener = this.wrapCallback(listener)
+          this.windowListeners.push({ type, listener, wrappedListener, options })
+          this.window.addEventListener(type, wrappedListener, options)
+        }
+      },
+
+      __breadboardInjectStyle__: (id, css) => {
+        this.injectStyle(id, css)
+      },
+
+      __breadboardSetEvaluator__: (evaluator) => {
+        this.evaluator = evaluator
+      },
+
+      [LOOP_GUARD]: (line) => {
+        this.checkExecutionTime(line)
+      },
+
+      [BEGIN_EXECUTION]: () => {
+        this.beginExecution()
+      },
+
+      removeEventListener: (type, listener, options) => {
+        if (this.historyListeners[type]) {
+          this.historyListeners[type] = this.historyListeners[type].filter(x => x !== listener)
+        }
+        else {
+          const index = this.windowListeners.findIndex(x => x.type === type && x.listener === listener)
+          if (index !== -1) {
+            this.window.removeEventListener(type, this.windowListeners[index].wrappedListener, options)
+            this.windowListeners.splice(index, 1)
+          }
+        }
+      },
     }
   }
 
-  reset() {
+  handleHistoryEvent = (event) => {
+    const handler = this.actions['on'+event.type]
+    const listeners = (typeof handler === 'function' ? [handler] : []).concat(this.historyListeners[event.type])
+
+    for (let listener of listeners) {
+      this.wrapCallback(listener)(event)
+    }
+  }
+
+  // Replaces the initial storage contents, which will be used after the next
+  // reset.
+  setStorage(storage={}) {
+    this.localStorage.setInitialItems(storage.local)
+    this.sessionStorage.setInitialItems(storage.session)
+  }
+
+  setFetchHandlers(fetchHandlers) {
+    this.fetchHandlers = fetchHandlers
+  }
+
+  setExecutionTimeLimit(executionTimeLimit) {
+    this.executionTimeLimit = executionTimeLimit
+  }
+
+  // Restarts the execution time limit's clock. Called whenever control enters
+  // breadboard code, so that time spent by the host page isn't counted.
+  beginExecution() {
+    this.guardStart = now()
+    this.scheduleGuardReset()
+  }
+
+  // Code can also be entered without `beginExecution`, e.g. from React event
+  // handlers, so the clock is cleared once the current task completes. This
+  // uses a timeout instead of a microtask, so that promise chains which never
+  // yield to the event loop are still aborted.
+  scheduleGuardReset() {
+    if (!this.guardResetPending) {
+      this.guardResetPending = true
+      setTimeout(() => {
+        this.guardResetPending = false
+        this.guardStart = null
+      }, 0)
+    }
+  }
+
+  // Throws if breadboard code has been running for longer than the execution
+  // time limit within the current task.
+  checkExecutionTime(line) {
+    const limit = this.executionTimeLimit
+    if (!limit) {
+      return
+    }
+
+    if (this.guardStart === null) {
+      this.beginExecution()
+    }
+
+    if (now() - this.guardStart > limit) {
+      const error = new Error(`Execution took longer than ${limit}ms, possible infinite loop on line ${line}`)
+
+      // The guard's call site isn't in the source map, so the line is passed
+      // along for `createExecutionError`.
+      error.sourceLine = line
+      throw error
+    }
+  }
+
+  // Requests that match a fetch handler are served by the handler and logged
+  // to the console, while other requests are passed through to the real
+  // `fetch`.
+  fetch(input, init) {
+    const request = this.fetchHandlers && createMockRequest(input, init)
+    const match = request && findFetchHandler(this.fetchHandlers, request)
+
+    if (!match) {
+      return this.window.fetch(input, init)
+    }
+
+    const console = this.actions.console
+    request.params = match.params
+
+    return respondWithHandler(match.handler, request, this.window.setTimeout).then(
+      (response) => {
+        if (console) {
+          console.info(`${request.method} ${request.url} ${response.status} (mock)`)
+        }
+        return response
+      },
+      (error) => {
+        if (console) {
+          console.info(`${request.method} ${request.url} failed (mock)`)
+        }
+        throw error
+      }
+    )
+  }
+
+  // Adds a stylesheet to the document, scoped to the breadboard's mount. If
+  // a stylesheet with the same id has already been added, it is replaced.
+  injectStyle(id, css) {
+    if (this.inert || typeof document === 'undefined') {
+      return
+    }
+
+    let style = this.styles[id]
+    if (!style) {
+      style = this.styles[id] = document.createElement('style')
+      style.setAttribute('data-breadboard-style', id)
+      document.head.appendChild(style)
+    }
+
+    style.textContent = scopeCSS(css, `[${this.scopeAttribute}="${this.scopeId}"]`)
+  }
+
+  removeStyles() {
+    for (let id of Object.keys(this.styles)) {
+      const style = this.styles[id]
+      if (style.parentNode) {
+        style.parentNode.removeChild(style)
+      }
+    }
+    this.styles = {}
+  }
+
+  // Stops timers and animation frames from running, e.g. while the
+  // breadboard is scrolled out of view.
+  pause() {
+    this.paused = true
+  }
+
+  resume() {
+    if (this.paused) {
+      this.paused = false
+
+      const timeouts = Array.from(this.pausedTimeouts.values())
+      const frames = Array.from(this.pausedFrames.values())
+      this.pausedTimeouts.clear()
+      this.pausedFrames.clear()
+
+      for (let callback of timeouts) {
+        callback()
+      }
+
+      // Held animation frames are run on the next frame, so that they
+      // receive an up to date timestamp.
+      if (frames.length) {
+        this.actions.requestAnimationFrame((timestamp) => {
+          for (let callback of frames) {
+            callback(timestamp)
+          }
+        })
+      }
+    }
+  }
+
+  // Catch any errors thrown by callbacks, so that they can be reported to
+  // the breadboard instead of escaping to the host page.
+  wrapCallback(cb) {
+    if (typeof cb !== 'function') {
+      return cb
+    }
+
+    const seq = this.seq
+    return (...args) => {
+      try {
+        this.beginExecution()
+        return cb(...args)
+      }
+      catch (error) {
+        this.reportError(error, seq)
+      }
+    }
+  }
+
+  trackPromise(promise, seq) {
+    const then = promise.then
+    this.promiseSeqs.set(promise, seq)
+
+    // `catch` and `finally` are implemented in terms of `then`, so this also
+    // tracks promises created with them.
+    promise.then = (onFulfilled, onRejected) =>
+      this.trackPromise(then.call(promise, onFulfilled, onRejected), seq)
+
+    return promise
+  }
+
+  handleUnhandledRejection = (event) => {
+    if (this.promiseSeqs.has(event.promise)) {
+      event.preventDefault()
+      this.reportError(event.reason, this.promiseSeqs.get(event.promise))
+    }
+  }
+
+  // Errors from previous runs are ignored, as they'll have been caused by
+  // code that is no longer being displayed.
+  reportError(error, seq) {
+    if (seq === this.seq && this.actions.console) {
+      this.actions.console.error('Uncaught', error)
+
+      if (this.onError) {
+        this.onError(error)
+      }
+    }
+  }
+
+  /**
+   * Evaluates console input within the scope of the executed code's entry
+   * file, returning the result. Input that starts with `{` is treated as an
+   * object literal where possible, instead of as a block. Like the executed
+   * code, the input is instrumented with the loop guard.
+   */
+  evaluate(code) {
+    if (!this.evaluator) {
+      throw new Error('Console input can only be evaluated once the code has been executed within the page.')
+    }
+
+    let input = code
+    if (/^\s*\{/.test(code) && !/;\s*$/.test(code)) {
+      try {
+        new Function('return ('+code+'\n)')
+        input = '('+code+'\n)'
+      }
+      catch (e) { }
+    }
+
+    const protectedInput = protectConsoleInput(input)
+    this.beginExecution()
+    return this.evaluator(protectedInput)
+  }
+
+  // Stops any timers, animation frames and event listeners, while leaving
+  // everything else in place. This is used on its own for hot updates, so
+  // that the previous module's timers don't keep running alongside the new
+  // module's.
+  clearTimers() {
     for (let timeout of this.timeouts) {
-      window.clearTimeout(timeout)
+      this.window.clearTimeout(timeout)
     }
     for (let interval of this.intervals) {
-      window.clearInterval(interval)
+      this.window.clearInterval(interval)
     }
     for (let frame of this.frames) {
-      window.cancelAnimationFrame(frame)
+      this.window.cancelAnimationFrame(frame)
+    }
+
+    for (let { type, wrappedListener, options } of this.windowListeners) {
+      this.window.removeEventListener(type, wrappedListener, options)
     }
 
     this.timeouts.length = 0
     this.intervals.length = 0
     this.frames.length = 0
+    this.pausedTimeouts.clear()
+    this.pausedFrames.clear()
+    this.windowListeners.length = 0
+    this.historyListeners = { popstate: [], hashchange: [] }
+    delete this.actions.onpopstate
+    delete this.actions.onhashchange
+  }
+
+  reset() {
+    this.clearTimers()
+    this.removeStyles()
+    this.evaluator = null
+
+    this.history.reset()
+    this.localStorage.reset()
+    this.sessionStorage.reset()
 
-    this.actions.console.clear()
+    this.actions.console.reset()
     this.seq++
   }
 
   destroy() {
     this.reset()
+
+    if (!this.inert && this.window.removeEventListener) {
+      this.window.removeEventListener('unhandledrejection', this.handleUnhandledRejection)
+    }
+
     this.actions.console = null
+    this.onError = null
   }
 }
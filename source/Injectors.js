@@ -41,6 +41,62 @@ if (ExecutionEnvironment.canUseDOM) {
 }
 
 
+let breadboardIntersectionObserver
+if (ExecutionEnvironment.canUseDOM && typeof IntersectionObserver !== 'undefined') {
+  class BreadboardIntersectionObserver {
+    constructor() {
+      this.callbacks = new Map
+      this.observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+          const callback = this.callbacks.get(entry.target)
+
+          if (callback) {
+            callback(entry.isIntersecting)
+          }
+        }
+      }, {
+        // Start a little before the element actually scrolls into view, so
+        // that it is ready by the time it is seen.
+        rootMargin: '200px 0px',
+      })
+    }
+
+    observe(target, callback) {
+      this.observer.observe(target)
+      this.callbacks.set(target, callback)
+    }
+
+    unobserve(target) {
+      this.observer.unobserve(target)
+      this.callbacks.delete(target)
+    }
+  }
+
+  breadboardIntersectionObserver = new BreadboardIntersectionObserver
+}
+
+
+/**
+ * Calls `callback` with a boolean indicating whether the target element is
+ * within (or near) the viewport, whenever this changes. In environments
+ * without IntersectionObserver, the element is assumed to be visible.
+ */
+export function observeVisibility(target, callback) {
+  if (breadboardIntersectionObserver) {
+    breadboardIntersectionObserver.observe(target, callback)
+  }
+  else {
+    callback(true)
+  }
+}
+
+export function unobserveVisibility(target) {
+  if (breadboardIntersectionObserver) {
+    breadboardIntersectionObserver.unobserve(target)
+  }
+}
+
+
 /**
  * Inject the child element's width and height, as computed by a
  * ResizeObserver.
@@ -0,0 +1,233 @@
+import React, { Component, PropTypes } from 'react'
+
+
+// Colors are based on those used by Chrome's developer tools
+const styles = {
+  root: {
+    fontFamily: 'Menlo, Consolas, monospace',
+    fontSize: 12,
+    lineHeight: '16px',
+  },
+  row: {
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  toggle: {
+    display: 'inline-block',
+    width: 12,
+    fontSize: 8,
+    color: '#727272',
+    cursor: 'pointer',
+    userSelect: 'none',
+  },
+  children: {
+    paddingLeft: 12,
+  },
+  stack: {
+    paddingLeft: 12,
+    whiteSpace: 'pre-wrap',
+    color: '#c41a16',
+  },
+  name: { color: '#881391' },
+  className: { fontStyle: 'italic' },
+  string: { color: '#c41a16' },
+  number: { color: '#1c00cf' },
+  boolean: { color: '#0d22aa' },
+  bigint: { color: '#1c00cf' },
+  symbol: { color: '#c41a16' },
+  undefined: { color: '#808080' },
+  null: { color: '#808080' },
+  function: { fontStyle: 'italic' },
+  regexp: { color: '#c41a16' },
+  date: { color: '#444' },
+  error: { color: '#c41a16' },
+  node: { color: '#881280' },
+  element: { color: '#881280' },
+  circular: { color: '#808080' },
+  truncated: { color: '#808080' },
+}
+
+
+// The number of entries shown within the one-line preview of an object
+const PREVIEW_ENTRIES = 5
+
+function isContainer(value) {
+  return !!value.entries || value.entries === null
+}
+
+function getLabel(value) {
+  switch (value.type) {
+    case 'array':
+      return 'Array('+value.length+')'
+    case 'map':
+      return 'Map('+value.size+')'
+    case 'set':
+      return 'Set('+value.size+')'
+    case 'object':
+      return value.className === 'Object' ? '' : value.className
+    case 'element':
+      return '<'+value.elementType+' />'
+    case 'error':
+      return value.name+': '+value.message
+  }
+}
+
+// Renders a value on a single line, with nested objects abbreviated
+function renderShort(value) {
+  if (value.type === 'string') {
+    return <span style={styles.string}>{JSON.stringify(value.value)}</span>
+  }
+  if (isContainer(value) || value.type === 'error') {
+    return <span style={styles.className}>{getLabel(value) || '{…}'}</span>
+  }
+  return <span style={styles[value.type]}>{value.description}</span>
+}
+
+function renderPreview(value, isRoot) {
+  if (value.type === 'string' && isRoot) {
+    return <span>{value.value}</span>
+  }
+  if (value.type === 'error') {
+    return <span style={styles.error}>{getLabel(value)}</span>
+  }
+  if (!isContainer(value)) {
+    return renderShort(value)
+  }
+
+  const entries = value.entries || []
+  const shown = entries.slice(0, PREVIEW_ENTRIES)
+  const hidden = entries.length - shown.length + (value.truncated || 0) + (value.entries ? 0 : 1)
+  const label = getLabel(value)
+
+  let items
+  if (value.type === 'element') {
+    items = shown.map((entry, i) =>
+      <span key={i}>
+        {' '}<span style={styles.name}>{entry.name}</span>={renderShort(entry.value)}
+      </span>
+    )
+    return (
+      <span style={styles.element}>
+        {'<'+value.elementType}{items}{hidden > 0 && ' …'}{' />'}
+      </span>
+    )
+  }
+
+  const isArray = value.type === 'array'
+  items = shown.map((entry, i) =>
+    <span key={i}>
+      {i > 0 && ', '}
+      {entry.key && <span>{renderShort(entry.key)}{' => '}</span>}
+      {!isArray && entry.name !== undefined && <span><span style={styles.name}>{entry.name}</span>{': '}</span>}
+      {renderShort(entry.value)}
+    </span>
+  )
+
+  return (
+    <span>
+      {label && <span style={styles.className}>{label+' '}</span>}
+      {isArray ? '[' : '{'}
+      {items}
+      {hidden > 0 && (shown.length ? ', …' : '…')}
+      {isArray ? ']' : '}'}
+    </span>
+  )
+}
+
+function getChildren(value) {
+  return (value.entries || []).map(entry => ({
+    name: entry.key ? undefined : entry.name,
+    label: entry.key ? renderShort(entry.key) : undefined,
+    value: entry.value,
+  }))
+}
+
+
+/**
+ * Renders a snapshot of a value logged to a breadboard's console, as found
+ * in the `args` of console messages. Objects, arrays, maps, sets, React
+ * elements and errors can be expanded to show their contents.
+ */
+export default class Inspector extends Component {
+  static propTypes = {
+    /**
+     * A snapshot created by `snapshotValue`.
+     */
+    value: PropTypes.object.isRequired,
+
+    /**
+     * The name of the property that holds the value, if any.
+     */
+    name: PropTypes.node,
+
+    /**
+     * An element to display in place of the name, e.g. a map entry's key.
+     */
+    label: PropTypes.node,
+
+    /**
+     * The number of levels that will initially be expanded.
+     */
+    expandLevel: PropTypes.number,
+
+    className: PropTypes.string,
+    style: PropTypes.object,
+  }
+
+  static defaultProps = {
+    expandLevel: 0,
+  }
+
+  constructor(props) {
+    super(props)
+
+    this.state = {
+      expanded: props.expandLevel > 0,
+    }
+  }
+
+  handleToggle = () => {
+    this.setState({ expanded: !this.state.expanded })
+  }
+
+  render() {
+    const { value, name, label, expandLevel, className, style } = this.props
+    const isRoot = name === undefined && label === undefined
+    const children = getChildren(value)
+    const expandable = children.length > 0 || !!(value.type === 'error' && value.stack)
+    const expanded = expandable && this.state.expanded
+
+    return (
+      <div className={className} style={isRoot ? { ...styles.root, ...style } : style}>
+        <div style={styles.row} onClick={expandable ? this.handleToggle : undefined}>
+          {(!isRoot || expandable) &&
+            <span style={styles.toggle}>{expandable ? (expanded ? '▼' : '▶') : ''}</span>
+          }
+          {name !== undefined && <span style={styles.name}>{name}</span>}
+          {label}
+          {!isRoot && ': '}
+          {renderPreview(value, isRoot)}
+        </div>
+        {expanded && value.type === 'error' &&
+          <div style={styles.stack}>{value.stack}</div>
+        }
+        {expanded && value.type !== 'error' &&
+          <div style={styles.children}>
+            {children.map((child, i) =>
+              <Inspector
+                key={i}
+                name={child.name}
+                label={child.label}
+                value={child.value}
+                expandLevel={expandLevel - 1}
+              />
+            )}
+            {value.truncated > 0 &&
+              <div style={styles.truncated}>{'… '+value.truncated+' more'}</div>
+            }
+          </div>
+        }
+      </div>
+    )
+  }
+}
@@ -1,24 +1,8 @@
 import React, { Component, PropTypes } from 'react'
 import { Controller, createController } from 'hatt'
-import frontMatter from 'front-matter'
-import MDXC from 'mdxc'
-import { transform } from 'babel-core'
-import latestPreset from 'babel-preset-latest'
 import ResponsiveDualModeController from './ResponsiveDualModeController'
 import Breadboard from './Breadboard'
-
-
-const wrappedMDXC = new MDXC({
-  linkify: true,
-  typographer: true,
-  highlight: false,
-})
-const unwrappedMDXC = new MDXC({
-  linkify: true,
-  typographer: true,
-  highlight: false,
-  unwrapped: true,
-})
+import { getTransformKey, runTransform } from './transforms'
 
 
 class ViewController extends Controller {
@@ -71,6 +55,32 @@ export default class MDXBreadboard extends Component {
      */
     factories: PropTypes.object,
 
+    /**
+     * Additional Babel `presets`, `plugins` and `parserOpts` to use when
+     * transforming the source. Presets run before the default presets.
+     * Breadboards with custom options are always transformed on the main
+     * thread, as options can't be passed to a transform worker.
+     */
+    babelOptions: PropTypes.shape({
+      presets: PropTypes.array,
+      plugins: PropTypes.array,
+      parserOpts: PropTypes.object,
+    }),
+
+    /**
+     * An object mapping names to `babelOptions` objects. Code blocks within
+     * the document can select one of these with the `babel` option, e.g.
+     * `mdx{babel=decorators}`. Code blocks without this option use the same
+     * `babelOptions` as the document.
+     */
+    namedBabelOptions: PropTypes.objectOf(PropTypes.object),
+
+    /**
+     * A transform worker created with `createTransformWorker`. When
+     * provided, the source will be transformed off the main thread.
+     */
+    transformWorker: PropTypes.object,
+
     /**
      * A function that renders the breadboard given a set of state and
      * event handlers.
@@ -146,10 +156,25 @@ export default class MDXBreadboard extends Component {
           options[parts[0]] = parts[1]
         }
       }
+
+      let babelOptions = this.props.babelOptions
+      if (options.babel) {
+        babelOptions = this.props.namedBabelOptions && this.props.namedBabelOptions[options.babel]
+        if (!babelOptions) {
+          console.warn(`MDXBreadboard could not find the babel options "${options.babel}" in \`namedBabelOptions\`.`)
+        }
+      }
+
       renderBreadboard = (themeProps) =>
         <MDXBreadboard
           {...themeProps}
           require={this.props.require}
+          fetchHandlers={this.props.fetchHandlers}
+          transformWorker={this.props.transformWorker}
+          transformCache={this.props.transformCache}
+          lazy={this.props.lazy}
+          babelOptions={babelOptions}
+          namedBabelOptions={this.props.namedBabelOptions}
           defaultSource={children}
           defaultUnwrapped={!!options.unwrapped}
           defaultMode={options.mode || 'source'}
@@ -180,6 +205,7 @@ export default class MDXBreadboard extends Component {
         modesController={this.modesController}
         theme={this.renderTheme}
         transform={this.state.transform}
+        transformKey={getTransformKey(this.state.unwrapped ? 'mdx:unwrapped' : 'mdx', this.props.babelOptions)}
         renderEditorElement={this.props.theme.renderEditor}
       />
     )
@@ -195,23 +221,7 @@ export default class MDXBreadboard extends Component {
   }
 
   transform = (unwrapped, source) => {
-    const result = {}
-    const data = frontMatter(source)
-    const es6 = wrappedMDXC.render(data.body)
-    const pretty = unwrapped ? unwrappedMDXC.render(data.body) : es6
-    let runnableCode
-    let error = null
-    try {
-      runnableCode = transform(es6, { presets: [latestPreset] }).code
-    }
-    catch (e) {
-      error = e
-    }
-
-    return {
-      transformedSource: pretty,
-      executableSource: runnableCode,
-      error,
-    }
+    const babelOptions = this.props.babelOptions
+    return runTransform(this.props.transformWorker, 'mdx', source, { unwrapped, babelOptions })
   }
 }
@@ -1,56 +1,58 @@
 import React, { Component, PropTypes } from 'react'
 import ReactDOM from 'react-dom'
+import ReactDOMServer from 'react-dom/server'
 import Breadboard from './Breadboard'
 import { injectDimensions } from './Injectors'
 import ResponsiveDualModeController from './ResponsiveDualModeController'
 import { controlledBy } from 'react-controllers'
 import compose from './compose'
-import { transform } from 'babel-core'
-import latestPreset from 'babel-preset-latest'
-import reactPreset from 'babel-preset-react'
+import { withSourceURL } from './errors'
+import { beginExecution, globalNames } from './FakeWindow'
+import { getTransformKey, runTransform } from './transforms'
 
 
+// Compiles raw source into a function that executes it with the given
+// `ReactDOM` and mount element.
+function compileRawSource(source, require, window) {
+  const exports = {}
+  const module = { exports: exports }
+
+  const execute = new Function(
+    'window',
+    ...globalNames,
+    'module',
+    'exports',
+    'require',
+    'breadboard',
+    'React',
+    'ReactDOM',
+    '__MOUNT__',
+    withSourceURL(source)
+  )
+
+  return (reactDOM, mount, props) => {
+    beginExecution(window)
+    return execute(
+      window,
+      ...globalNames.map(name => window[name]),
+      module,
+      exports,
+      require,
+      props,
+      React,
+      reactDOM,
+      mount
+    )
+  }
+}
+
 function rawPrepare(source, require, window) {
   try {
-    const exports = {}
-    const module = { exports: exports }
-
-    const execute = new Function(
-      'window',
-      'setTimeout',
-      'setInterval',
-      'requestAnimationFrame',
-      'fetch',
-      'History',
-      'console',
-      'module',
-      'exports',
-      'require',
-      'breadboard',
-      'React',
-      'ReactDOM',
-      '__MOUNT__',
-      source
-    )
+    const execute = compileRawSource(source, require, window)
 
     return (mount, props={}) => {
       try {
-        execute(
-          window,
-          window.setTimeout,
-          window.setInterval,
-          window.requestAnimationFrame,
-          window.fetch,
-          window.History,
-          window.console,
-          module,
-          exports,
-          require,
-          props,
-          React,
-          ReactDOM,
-          mount
-        )
+        execute(ReactDOM, mount, props)
       }
       catch (err) {
         return err
@@ -62,6 +64,39 @@ function rawPrepare(source, require, window) {
   }
 }
 
+// The string only contains what the source renders with `ReactDOM.render`,
+// which can take over the markup when the source runs in the browser.
+rawPrepare.reusesMarkup = true
+
+// Raw source renders itself, so to render it to a string, it is executed
+// with a stand-in for the mount element, and a `ReactDOM` that captures the
+// element rendered to it. Anything else that the source does to the mount
+// isn't included in the string.
+export function rawRenderToString(source, require, window, props) {
+  try {
+    const mount = {}
+    let element = null
+
+    const captureReactDOM = {
+      ...ReactDOM,
+      render(nextElement, container) {
+        if (container === mount) {
+          element = nextElement
+        }
+      },
+    }
+    const captureRequire = (name) =>
+      name === 'react-dom' ? captureReactDOM : require(name)
+
+    compileRawSource(source, captureRequire, window)(captureReactDOM, mount, props || {})
+
+    return element ? ReactDOMServer.renderToString(element) : ''
+  }
+  catch (err) {
+    return err
+  }
+}
+
 
 const decorate = compose(
   injectDimensions.withConfiguration({ height: null }),
@@ -72,11 +107,49 @@ export default decorate(class RawBreadboard extends Component {
   static propTypes = {
     /**
      * When this id is used in a `document.getElementById` call, the entire
-     * call will be replaced with the mountpoint's element. Note that this
-     * means previews cannot be generated server-side.
+     * call will be replaced with the mountpoint's element.
      */
     appId: PropTypes.string.isRequired,
 
+    /**
+     * Allows you to override how the transformed source is executed, e.g.
+     * with `createSandboxPrepare({ type: 'raw' })`.
+     */
+    prepare: PropTypes.func,
+
+    /**
+     * Allows you to override how the preview is rendered to a string for
+     * server side rendering. By default, the string contains whatever the
+     * source passes to `ReactDOM.render` with the mount. Pass `null` to
+     * render an empty preview.
+     */
+    renderToString: PropTypes.func,
+
+    /**
+     * The language that the source is written in: `javascript`, `flow` or
+     * `typescript`. TypeScript requires the `typescript` package to be
+     * installed.
+     */
+    language: PropTypes.oneOf(['javascript', 'flow', 'typescript']),
+
+    /**
+     * Additional Babel `presets`, `plugins` and `parserOpts` to use when
+     * transforming the source. Presets run before the default presets.
+     * Breadboards with custom options are always transformed on the main
+     * thread, as options can't be passed to a transform worker.
+     */
+    babelOptions: PropTypes.shape({
+      presets: PropTypes.array,
+      plugins: PropTypes.array,
+      parserOpts: PropTypes.object,
+    }),
+
+    /**
+     * A transform worker created with `createTransformWorker`. When
+     * provided, the source will be transformed off the main thread.
+     */
+    transformWorker: PropTypes.object,
+
     /**
      * The breadboard's theme.
      */
@@ -88,6 +161,9 @@ export default decorate(class RawBreadboard extends Component {
 
   static defaultProps = {
     appId: 'app',
+    language: 'javascript',
+    prepare: rawPrepare,
+    renderToString: rawRenderToString,
   }
 
   renderTheme = (props) => {
@@ -101,33 +177,16 @@ export default decorate(class RawBreadboard extends Component {
     return (
       <Breadboard
         {...this.props}
-        prepare={rawPrepare}
-        renderToString={null}
         renderEditorElement={this.props.theme.renderEditor}
         theme={this.renderTheme}
         transform={this.transform}
+        transformKey={getTransformKey('raw:'+this.props.language+':'+this.props.appId, this.props.babelOptions)}
       />
     )
   }
 
   transform = (source) => {
-    let transformed
-    let error = null
-
-    const appPattern = new RegExp(`document\\s*.\\s*getElementById\\s*\\(\\s*['"]${this.props.appId}['"]\\s*\\)`, 'g')
-    const sourceWithAppId = source.replace(appPattern, ' __MOUNT__ ')
-
-    try {
-      transformed = transform(sourceWithAppId, { presets: [reactPreset, latestPreset] }).code
-    }
-    catch (e) {
-      error = e
-    }
-
-    return {
-      transformedSource: transformed,
-      executableSource: transformed,
-      error: error,
-    }
+    const { appId, language, babelOptions } = this.props
+    return runTransform(this.props.transformWorker, 'raw', source, { appId, language, babelOptions })
   }
 })
\ No newline at end of file
@@ -38,6 +38,9 @@ export default class ResponsiveDualModeController extends PureController {
     selectSource() {
       this.setState({ primary: 'source' })
     },
+    selectProps() {
+      this.setState({ primary: 'props' })
+    },
   }
 
   constructor(props) {
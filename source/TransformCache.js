@@ -0,0 +1,240 @@
+// Bump this when the output of the built-in transforms changes, so that
+// results persisted by previous versions are discarded.
+const DATABASE_VERSION = 3
+const STORE_NAME = 'transforms'
+
+// Cache hits update the recency of persisted results in memory, and are
+// written to IndexedDB in a single batch after this many milliseconds.
+const RECENCY_WRITE_DELAY = 2000
+
+
+/**
+ * Returns a short string that identifies the given source, for use within
+ * cache keys.
+ */
+export function hashSource(source) {
+  // 53-bit variant of the cyrb hash
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < source.length; i++) {
+    const ch = source.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0)
+  return hash.toString(36)+':'+source.length
+}
+
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+
+function isPersistable({ error, warnings }) {
+  return !error && !(warnings && warnings.length)
+}
+
+
+/**
+ * A least-recently-used cache of transform results. A single cache is shared
+ * between every breadboard on the page by default, so that identical sources
+ * are only transformed once.
+ *
+ * When `persist` is true, results are also stored in IndexedDB so that they
+ * survive page reloads. Only results without errors or warnings are
+ * persisted, and only for transforms that have been given a stable key.
+ */
+export default class TransformCache {
+  constructor({ maxEntries=500, persist=false, databaseName='armo-breadboard' }={}) {
+    this.maxEntries = maxEntries
+
+    // Maps iterate in insertion order, so the first key is always the least
+    // recently used.
+    this.entries = new Map
+
+    // Until persisted results have been loaded, `ready` holds a promise that
+    // resolves once they're available.
+    this.ready = null
+    this.database = null
+
+    // Keys of persisted entries whose recency has changed since it was last
+    // written
+    this.touchedKeys = new Set
+    this.recencyTimeout = null
+
+    if (persist && typeof indexedDB !== 'undefined') {
+      this.ready = this.load(databaseName).then(() => {
+        this.ready = null
+      })
+    }
+  }
+
+  get(key) {
+    const entry = this.entries.get(key)
+
+    if (entry) {
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+      entry.lastUsed = Date.now()
+
+      if (entry.persist && this.database) {
+        this.touchedKeys.add(key)
+        this.scheduleRecencyWrite()
+      }
+
+      return entry.result
+    }
+  }
+
+  /**
+   * Stores a result, which may be a promise. Promises are replaced by their
+   * result once they resolve.
+   */
+  set(key, result, persist=false) {
+    const entry = { result, persist, lastUsed: Date.now() }
+
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+
+    if (result && typeof result.then === 'function') {
+      result.then(resolved => {
+        if (this.entries.get(key) === entry) {
+          this.set(key, resolved, persist)
+        }
+      })
+    }
+    else if (persist) {
+      this.touchedKeys.delete(key)
+      this.write(key, entry)
+    }
+
+    this.evict()
+  }
+
+  clear() {
+    this.entries.clear()
+    this.touchedKeys.clear()
+
+    if (this.database) {
+      try {
+        this.database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear()
+      }
+      catch (e) { }
+    }
+  }
+
+  load(databaseName) {
+    const request = indexedDB.open(databaseName, DATABASE_VERSION)
+
+    request.onupgradeneeded = () => {
+      const database = request.result
+      if (database.objectStoreNames.contains(STORE_NAME)) {
+        database.deleteObjectStore(STORE_NAME)
+      }
+      database.createObjectStore(STORE_NAME, { keyPath: 'key' })
+    }
+
+    return requestToPromise(request)
+      .then(database => {
+        this.database = database
+        const store = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME)
+        return requestToPromise(store.getAll())
+      })
+      .then(records => {
+        // Persisted results are older than anything added while loading, so
+        // they're added before existing entries.
+        const existing = Array.from(this.entries)
+        this.entries.clear()
+
+        records
+          .sort((a, b) => a.lastUsed - b.lastUsed)
+          .slice(-this.maxEntries)
+          .forEach(({ key, result, lastUsed }) => {
+            this.entries.set(key, { result, persist: true, lastUsed })
+          })
+
+        for (let [key, entry] of existing) {
+          this.entries.delete(key)
+          this.entries.set(key, entry)
+        }
+
+        this.evict()
+      })
+      .catch(() => {
+        // IndexedDB is unavailable, e.g. in private browsing mode, so just
+        // continue without persistence.
+        this.database = null
+      })
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value
+      this.entries.delete(oldestKey)
+      this.touchedKeys.delete(oldestKey)
+      this.remove(oldestKey)
+    }
+  }
+
+  scheduleRecencyWrite() {
+    if (this.recencyTimeout === null) {
+      this.recencyTimeout = setTimeout(() => {
+        this.recencyTimeout = null
+        this.writeRecency()
+      }, RECENCY_WRITE_DELAY)
+    }
+  }
+
+  writeRecency() {
+    const keys = Array.from(this.touchedKeys)
+    this.touchedKeys.clear()
+
+    if (!this.database || !keys.length) {
+      return
+    }
+
+    try {
+      const store = this.database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME)
+      for (let key of keys) {
+        const entry = this.entries.get(key)
+        if (entry && entry.persist && isPersistable(entry.result)) {
+          store.put({ key, result: entry.result, lastUsed: entry.lastUsed })
+        }
+      }
+    }
+    catch (e) { }
+  }
+
+  write(key, entry) {
+    if (this.database && isPersistable(entry.result)) {
+      try {
+        this.database
+          .transaction(STORE_NAME, 'readwrite')
+          .objectStore(STORE_NAME)
+          .put({ key, result: entry.result, lastUsed: entry.lastUsed })
+      }
+      catch (e) { }
+    }
+  }
+
+  remove(key) {
+    if (this.database) {
+      try {
+        this.database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(key)
+      }
+      catch (e) { }
+    }
+  }
+}
+
+
+/**
+ * The cache that is shared by all breadboards that don't specify their own.
+ */
+export const defaultTransformCache = new TransformCache()
@@ -0,0 +1,127 @@
+class LazyModule {
+  constructor(loader) {
+    this.loader = loader
+    this.promise = null
+    this.loaded = false
+    this.exports = undefined
+    this.error = null
+  }
+
+  load() {
+    if (!this.promise) {
+      this.promise = Promise.resolve()
+        .then(() => this.loader())
+        .then(
+          (exports) => {
+            this.loaded = true
+            this.exports = exports
+            return exports
+          },
+          (error) => {
+            this.error = error
+            throw error
+          }
+        )
+    }
+    return this.promise
+  }
+}
+
+
+/**
+ * Marks a module within a `createRequire` registry as being loaded
+ * asynchronously by the given function, e.g. `() => import('lodash')`.
+ */
+export function lazyModule(loader) {
+  return new LazyModule(loader)
+}
+
+
+// Converts a module's exports into the object that `import()` resolves to
+function toNamespace(exports) {
+  return exports && exports.__esModule ? exports : Object.assign({ default: exports }, exports)
+}
+
+
+/**
+ * Returns the names of the non-relative modules that are required with a
+ * string literal by the given transformed source.
+ */
+export function findRequiredModules(source) {
+  const names = []
+  const pattern = /(?:^|[^.\w$])require\(\s*(['"])([^'"]+)\1\s*\)/g
+  let match
+  while ((match = pattern.exec(source))) {
+    const name = match[2]
+    if (name[0] !== '.' && names.indexOf(name) === -1) {
+      names.push(name)
+    }
+  }
+  return names
+}
+
+
+/**
+ * Creates a function that can be passed to a breadboard's `require` prop,
+ * given an object mapping module names to their exports. Modules created
+ * with `lazyModule` are loaded when they're first needed.
+ *
+ * The returned function has two extra methods:
+ *
+ * - `preload(names)` starts loading the named lazy modules, returning a
+ *   promise that resolves once they've loaded, or `null` if there is
+ *   nothing to load. Breadboards call this with the modules that their source
+ *   requires before executing it.
+ * - `import(name)` returns a promise to the module's namespace object, and is
+ *   used to implement `import()`.
+ */
+export default function createRequire(modules) {
+  const names = Object.keys(modules)
+
+  function getModule(name) {
+    if (!modules.hasOwnProperty(name)) {
+      throw new Error(
+        `Cannot find module "${name}". `+
+        (names.length
+          ? `Available modules are: ${names.map(name => `"${name}"`).join(', ')}.`
+          : 'No modules are available.')
+      )
+    }
+    return modules[name]
+  }
+
+  function require(name) {
+    const module = getModule(name)
+
+    if (module instanceof LazyModule) {
+      if (module.error) {
+        throw module.error
+      }
+      if (!module.loaded) {
+        throw new Error(`The module "${name}" is loaded asynchronously, and hasn't finished loading. Try using \`import()\` instead.`)
+      }
+      return module.exports
+    }
+
+    return module
+  }
+
+  require.preload = (names) => {
+    // Load errors are ignored here, as they'll be thrown when the module is
+    // required.
+    const promises = names
+      .filter(name => modules[name] instanceof LazyModule && !modules[name].loaded && !modules[name].error)
+      .map(name => modules[name].load().catch(() => {}))
+
+    return promises.length ? Promise.all(promises) : null
+  }
+
+  require.import = (name) => {
+    return new Promise(resolve => {
+      const module = getModule(name)
+      resolve(module instanceof LazyModule ? module.load() : module)
+    }).then(toNamespace)
+  }
+
+  return require
+}
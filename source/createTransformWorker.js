@@ -0,0 +1,45 @@
+import { deserializeTransformResult } from './transforms'
+
+
+/**
+ * Wraps a Web Worker created from `transformWorker.js`, returning an object
+ * whose `transform(name, source, options)` method returns a promise to the
+ * result of the named transform.
+ *
+ * A single transform worker can be shared between all breadboards on a page.
+ */
+export default function createTransformWorker(worker) {
+  const pending = {}
+  let nextId = 1
+
+  worker.addEventListener('message', (event) => {
+    const { id, result } = event.data
+    const request = pending[id]
+
+    if (request) {
+      delete pending[id]
+      request.resolve(deserializeTransformResult(result))
+    }
+  })
+
+  worker.addEventListener('error', (event) => {
+    for (let id of Object.keys(pending)) {
+      pending[id].reject(event.error || new Error(event.message))
+      delete pending[id]
+    }
+  })
+
+  return {
+    transform(name, source, options={}) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++
+        pending[id] = { resolve, reject }
+        worker.postMessage({ id, name, source, options })
+      })
+    },
+
+    terminate() {
+      worker.terminate()
+    },
+  }
+}
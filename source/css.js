@@ -0,0 +1,167 @@
+import { hashSource } from './TransformCache'
+
+
+/**
+ * Utilities for working with the selectors in breadboard stylesheets. These
+ * understand just enough CSS to find selectors; declarations are passed
+ * through untouched.
+ */
+
+
+// Returns the index of the first character at or after `start` that matches
+// `test`, skipping over comments and strings.
+function findNext(css, start, test) {
+  for (let i = start; i < css.length; i++) {
+    const ch = css[i]
+
+    if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2)
+      if (end === -1) {
+        return -1
+      }
+      i = end + 1
+    }
+    else if (ch === '"' || ch === "'") {
+      for (i++; i < css.length && css[i] !== ch; i++) {
+        if (css[i] === '\\') {
+          i++
+        }
+      }
+    }
+    else if (test(ch)) {
+      return i
+    }
+  }
+  return -1
+}
+
+function findClosingBrace(css, openIndex) {
+  let depth = 0
+  const index = findNext(css, openIndex, ch => {
+    if (ch === '{') {
+      depth++
+    }
+    else if (ch === '}') {
+      depth--
+    }
+    return depth === 0
+  })
+  return index === -1 ? css.length : index
+}
+
+// Splits a selector list on its top-level commas
+function splitSelectors(selectors) {
+  const result = []
+  let depth = 0
+  let start = 0
+  let i
+
+  while ((i = findNext(selectors, start, ch => {
+    if (ch === '(' || ch === '[') {
+      depth++
+    }
+    else if (ch === ')' || ch === ']') {
+      depth--
+    }
+    return ch === ',' && depth === 0
+  })) !== -1) {
+    result.push(selectors.slice(start, i))
+    start = i + 1
+  }
+  result.push(selectors.slice(start))
+
+  return result
+}
+
+// At-rules whose bodies contain further rules
+const nestingAtRulePattern = /^@(media|supports|document|layer|container)\b/i
+
+/**
+ * Calls `mapSelector` with each selector in the stylesheet, replacing it
+ * with the result. Selectors within at-rules like `@keyframes` and
+ * `@font-face` are left as-is.
+ */
+export function mapSelectors(css, mapSelector) {
+  let result = ''
+  let i = 0
+
+  while (i < css.length) {
+    const end = findNext(css, i, ch => ch === '{' || ch === ';' || ch === '}')
+
+    if (end === -1) {
+      result += css.slice(i)
+      break
+    }
+    if (css[end] !== '{') {
+      result += css.slice(i, end + 1)
+      i = end + 1
+      continue
+    }
+
+    const prelude = css.slice(i, end).replace(/\/\*[\s\S]*?\*\//g, '')
+    const close = findClosingBrace(css, end)
+    const body = css.slice(end + 1, close)
+    const trimmed = prelude.trim()
+
+    if (trimmed[0] === '@') {
+      result += prelude+'{'+(nestingAtRulePattern.test(trimmed) ? mapSelectors(body, mapSelector) : body)+'}'
+    }
+    else {
+      const leadingWhitespace = prelude.match(/^\s*/)[0]
+      const selectors = splitSelectors(trimmed).map(selector => mapSelector(selector.trim()))
+      result += leadingWhitespace+selectors.join(', ')+' {'+body+'}'
+    }
+
+    i = close + 1
+  }
+
+  return result
+}
+
+
+/**
+ * Prefixes every selector in the stylesheet with `scope`, so that it only
+ * applies to elements within the breadboard's mount. Selectors for the
+ * document's root are replaced with the scope itself.
+ */
+export function scopeCSS(css, scope) {
+  return mapSelectors(css, selector => {
+    const rootMatch = selector.match(/^(html|body|:root)(?![\w-])/i)
+    return rootMatch
+      ? scope+selector.slice(rootMatch[0].length)
+      : scope+' '+selector
+  })
+}
+
+
+/**
+ * Renames each class in a CSS module's stylesheet to a name that is unique
+ * to its file, returning the new stylesheet and an object mapping the
+ * original class names to the new ones. Classes wrapped in `:global()` are
+ * left untouched.
+ */
+export function localizeCSS(css, filename) {
+  const classNames = {}
+  const basename = filename.replace(/^.*\//, '').replace(/\..*$/, '').replace(/[^\w-]/g, '_')
+  const suffix = hashSource(filename).split(':')[0].slice(0, 5)
+
+  const localizedCSS = mapSelectors(css, selector =>
+    selector.replace(
+      /(\[[^\]]*\])|:global\(([^)]*)\)|\.(-?[_a-zA-Z][\w-]*)/g,
+      (match, attribute, global, className) => {
+        if (attribute) {
+          return attribute
+        }
+        if (global !== undefined) {
+          return global
+        }
+        if (!classNames[className]) {
+          classNames[className] = basename+'_'+className+'__'+suffix
+        }
+        return '.'+classNames[className]
+      }
+    )
+  )
+
+  return { css: localizedCSS, classNames }
+}
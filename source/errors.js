@@ -0,0 +1,193 @@
+import codeFrame from 'babel-code-frame'
+import { SourceMapConsumer } from 'source-map'
+
+
+/**
+ * The name given to executed code in stack traces, allowing us to find the
+ * stack frames that originate within the breadboard's source.
+ */
+export const SOURCE_URL = 'breadboard-source.js'
+
+export function withSourceURL(source) {
+  return source+'\n//# sourceURL='+SOURCE_URL
+}
+
+
+// Browsers wrap the body passed to `new Function` in a header, so line
+// numbers in stack traces are offset by a browser-specific amount. We find
+// this amount by throwing an error from a known line.
+let functionLineOffset
+function getFunctionLineOffset() {
+  if (functionLineOffset === undefined) {
+    functionLineOffset = 0
+    try {
+      new Function('module', 'exports', withSourceURL('throw new Error()'))()
+    }
+    catch (e) {
+      const location = findLocation(e.stack)
+      if (location) {
+        functionLineOffset = location.line - 1
+      }
+    }
+  }
+  return functionLineOffset
+}
+
+const locationPattern = new RegExp(SOURCE_URL.replace(/\./g, '\\.')+':(\\d+):(\\d+)')
+function findLocation(stack) {
+  const match = typeof stack === 'string' && stack.match(locationPattern)
+  return match ? { line: parseInt(match[1], 10), column: parseInt(match[2], 10) } : null
+}
+
+function createFrame(source, line, column) {
+  if (typeof source === 'string' && line) {
+    try {
+      return codeFrame(source, line, column)
+    }
+    catch (e) { }
+  }
+}
+
+
+/**
+ * Creates an Error object with the following details about where in the
+ * user's original source the error occured:
+ *
+ * - `phase`: either `transform` or `execution`
+ * - `file`: the name of the file containing the error
+ * - `line`: the 1-based line number
+ * - `column`: the 1-based column number
+ * - `frame`: a string highlighting the offending code
+ *
+ * Location details will be undefined if they can't be determined.
+ */
+export function createBreadboardError(error, { message, phase, file, line, column, frame }) {
+  const isError = error && typeof error === 'object'
+  const result = new Error(message || (isError ? error.message : String(error)))
+
+  if (isError) {
+    result.name = error.name || 'Error'
+    result.stack = error.stack
+  }
+
+  result.phase = phase
+  result.file = file
+  result.line = line
+  result.column = column
+  result.frame = frame
+
+  return result
+}
+
+
+/**
+ * Converts a Breadboard error into a plain object that can be passed to or
+ * from a Web Worker.
+ */
+export function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    phase: error.phase,
+    file: error.file,
+    line: error.line,
+    column: error.column,
+    frame: error.frame,
+  }
+}
+
+export function deserializeError(data) {
+  return createBreadboardError(data, data)
+}
+
+
+/**
+ * Converts an error thrown by a transform function, e.g. Babel, into a
+ * Breadboard error.
+ */
+export function createTransformError(error, source, filename) {
+  // Errors that have already been converted just need their filename
+  if (error && error.phase) {
+    if (error.file === undefined) {
+      error.file = filename
+    }
+    return error
+  }
+
+  const loc = error && error.loc
+  const line = loc ? loc.line : undefined
+  const column = loc ? loc.column + 1 : undefined
+
+  // Babel prefixes messages with the filename, suffixes them with the
+  // location, and in the browser, appends the code frame.
+  const message =
+    error && typeof error.message === 'string'
+      ? error.message.split('\n')[0].replace(/^unknown: /, '').replace(/ \(\d+:\d+\)$/, '')
+      : undefined
+
+  return createBreadboardError(error, {
+    message,
+    phase: 'transform',
+    file: filename,
+    line,
+    column,
+    frame: (error && error.codeFrame) || createFrame(source, line, column),
+  })
+}
+
+
+/**
+ * Converts an error thrown while executing a build's packed source into a
+ * Breadboard error, using source maps to find the error's location within the
+ * user's original source.
+ */
+export function createExecutionError(error, build) {
+  if (error && error.phase) {
+    return error
+  }
+
+  const location = findLocation(error && error.stack)
+
+  if (!location || !build) {
+    return createBreadboardError(error, { phase: 'execution' })
+  }
+
+  // Find the file containing the packed line
+  const packedLine = location.line - getFunctionLineOffset()
+  let file
+  for (let filename of Object.keys(build.offsets)) {
+    const offset = build.offsets[filename]
+    if (offset < packedLine && (!file || offset > build.offsets[file])) {
+      file = filename
+    }
+  }
+
+  let line
+  let column
+  const map = file && build.files[file].map
+  if (map) {
+    const original = new SourceMapConsumer(map).originalPositionFor({
+      line: packedLine - build.offsets[file],
+      column: location.column - 1,
+    })
+    if (original.line !== null) {
+      line = original.line
+      column = original.column + 1
+    }
+  }
+
+  // Errors thrown by the loop guard come from generated code, but know which
+  // line of the original source they were thrown for.
+  if (line === undefined && file && error.sourceLine) {
+    line = error.sourceLine
+  }
+
+  return createBreadboardError(error, {
+    phase: 'execution',
+    file,
+    line,
+    column,
+    frame: file && createFrame(build.sources[file], line, column),
+  })
+}
@@ -0,0 +1,239 @@
+import { createController } from 'hatt'
+import React from 'react'
+import ReactDOMServer from 'react-dom/server'
+import { defaultRenderToString } from './Breadboard'
+import BreadboardBuild, { normalizeSources } from './BreadboardBuild'
+import ConsoleController from './ConsoleController'
+import createRequire, { findRequiredModules } from './createRequire'
+import { createExecutionError } from './errors'
+import FakeWindow, { executeModule } from './FakeWindow'
+import { rawRenderToString } from './RawBreadboard'
+import { defaultScripts, defaultModules } from './sandbox'
+import selectStory from './stories'
+import { transforms } from './transforms'
+
+
+const defaultExportRequire = createRequire({
+  react: React,
+})
+
+function getTransformOptions(type, { language, babelOptions, appId }) {
+  switch (type) {
+    case 'component':
+      return { language, babelOptions }
+    case 'raw':
+      return { appId, language, babelOptions }
+    case 'mdx':
+      return { unwrapped: false, babelOptions }
+  }
+  throw new Error(`exportBreadboard received an unknown type "${type}". Use "component", "raw" or "mdx".`)
+}
+
+// Renders the source to a string as the given type of breadboard would,
+// returning the markup, along with the id of the story that was rendered
+// for component sources.
+function render(type, storyId, source, require, window, props) {
+  if (type === 'raw') {
+    return { html: rawRenderToString(source, require, window, props) }
+  }
+  if (type === 'mdx') {
+    return { html: defaultRenderToString(source, require, window, props) }
+  }
+
+  try {
+    const { component, props: storyProps, story } =
+      selectStory(executeModule(source, require, window), storyId)
+
+    return {
+      html: component ? ReactDOMServer.renderToString(React.createElement(component, { ...storyProps, ...props })) : '',
+      story,
+    }
+  }
+  catch (err) {
+    return { html: err }
+  }
+}
+
+// Prevents the exported source and styles from closing the tags that they're
+// embedded within.
+function escapeEndTags(source) {
+  return source.replace(/<\/(script|style)/gi, '<\\/$1')
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Only serializable props can be embedded in the exported script
+function toSerializable(props) {
+  try {
+    return JSON.parse(JSON.stringify(props || {}))
+  }
+  catch (e) {
+    return {}
+  }
+}
+
+
+// Raw sources render themselves, while the selected component is rendered
+// for other sources.
+const renderComponentScript = `
+  var exported = story ? module.exports[story] : module.exports.default;
+  var component = typeof exported === 'function' ? exported : exported && (exported.component || module.exports.default);
+  var storyProps = typeof exported === 'function' ? {} : exported && exported.props;
+  if (component) {
+    window.ReactDOM.render(window.React.createElement(component, Object.assign({}, storyProps, props)), mount);
+  }
+`
+
+// This script executes the source within the exported page, taking over the
+// prerendered markup. Like the sandbox, modules are provided by the globals
+// that the page's `scripts` define.
+function createExportScript({ type, source, story, props, modules, appId }) {
+  return `
+(function() {
+  var modules = ${JSON.stringify(modules)};
+  var props = ${JSON.stringify(props)};
+  var story = ${JSON.stringify(story || null)};
+  var mount = document.getElementById(${JSON.stringify(appId)});
+
+  function require(name) {
+    if (modules.hasOwnProperty(name)) {
+      return window[modules[name]];
+    }
+    throw new Error('Cannot find module "' + name + '". Available modules are: ' + Object.keys(modules).map(function(name) { return '"' + name + '"'; }).join(', ') + '.');
+  }
+  require.import = function(name) {
+    return new Promise(function(resolve) {
+      var exports = require(name);
+      resolve(exports && exports.__esModule ? exports : Object.assign({ default: exports }, exports));
+    });
+  };
+
+  // Stylesheets are already included in the exported CSS
+  window.__breadboardInjectStyle__ = function() {};
+
+  var module = { exports: {} };
+  (function(module, exports, require, breadboard, React, ReactDOM, __MOUNT__) {
+${source}
+  })(module, module.exports, require, props, window.React, window.ReactDOM, mount);
+${type === 'raw' ? '' : renderComponentScript}})();
+`
+}
+
+function createDocument({ title, html, css, js, scripts, appId }) {
+  return (
+    '<!DOCTYPE html><html><head><meta charset="utf-8">'+
+    '<meta name="viewport" content="width=device-width, initial-scale=1">'+
+    '<title>'+escapeHTML(title)+'</title>'+
+    (css ? '<style>'+escapeEndTags(css)+'</style>' : '')+
+    scripts.map(src => `<script src="${escapeHTML(src)}"></script>`).join('')+
+    '</head><body>'+
+    `<div id="${escapeHTML(appId)}">${html}</div>`+
+    (js ? '<script>'+escapeEndTags(js)+'</script>' : '')+
+    '</body></html>'
+  )
+}
+
+
+/**
+ * Prerenders a breadboard's source to HTML that can be used outside of the
+ * page that contains the breadboard, e.g. as a downloadable example or as a
+ * static preview for an index page. The source is transformed and rendered
+ * in the same way as the server rendering of a breadboard of the given
+ * `type`: `component`, `raw` or `mdx`.
+ *
+ * Returns a promise to an object containing:
+ *
+ * - `html`: the preview's markup
+ * - `css`: the stylesheets that the source imports
+ * - `js`: a script that executes the source, taking over the markup in the
+ *   element with id `appId`. Modules are loaded via `scripts`, with
+ *   `modules` mapping module names to the globals that they define.
+ * - `document`: a standalone HTML document containing all of the above
+ * - `error`: any transform or execution error, in which case the other
+ *   properties are empty
+ *
+ * With `static: true`, the document contains no scripts, so that it can be
+ * used for thumbnails.
+ */
+export default function exportBreadboard({
+  source,
+  type='component',
+  entry,
+  require=defaultExportRequire,
+  language='javascript',
+  babelOptions,
+  appId='app',
+  props={},
+  story,
+  title='Breadboard',
+  scripts=defaultScripts(),
+  modules=defaultModules,
+  static: isStatic=false,
+}) {
+  let options
+  try {
+    options = getTransformOptions(type, { language, babelOptions, appId })
+  }
+  catch (error) {
+    return Promise.reject(error)
+  }
+
+  const transform = source => transforms[type](source, options)
+  const build = new BreadboardBuild(null, transform)
+  const buildResult = build.run(normalizeSources(source, true), entry)
+  const packedSource = buildResult.packedSource
+
+  if (buildResult.error) {
+    return Promise.resolve({ html: '', css: '', js: '', document: '', error: buildResult.error })
+  }
+
+  return Promise.resolve(require.preload && require.preload(findRequiredModules(packedSource))).then(() => {
+    const consoleController = createController(ConsoleController)
+    consoleController.thaw()
+    const fakeWindow = new FakeWindow(consoleController.get().actions, { inert: true })
+
+    // Styles are collected instead of being injected into the document
+    const styles = {}
+    fakeWindow.actions.__breadboardInjectStyle__ = (id, css) => {
+      styles[id] = css
+    }
+
+    let result
+    try {
+      result = render(type, story, packedSource, require, fakeWindow.actions, props)
+    }
+    finally {
+      fakeWindow.destroy()
+      consoleController.destroy()
+    }
+
+    const html = result.html
+    if (typeof html !== 'string') {
+      return { html: '', css: '', js: '', document: '', error: createExecutionError(html, buildResult) }
+    }
+
+    const css = Object.keys(styles).map(id => styles[id]).join('\n')
+    const js = isStatic ? '' : createExportScript({
+      type,
+      source: packedSource,
+      story: result.story,
+      props: toSerializable(props),
+      modules,
+      appId,
+    })
+
+    return {
+      html,
+      css,
+      js,
+      document: createDocument({ title, html, css, js, scripts: isStatic ? [] : scripts, appId }),
+      error: null,
+    }
+  })
+}
@@ -0,0 +1,164 @@
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { executeModule } from './FakeWindow'
+
+
+function isClassComponent(component) {
+  return !!(component.prototype && (component.prototype.isReactComponent || component.prototype.render))
+}
+
+// Statics like `propTypes` and `defaultProps` are copied from the current
+// implementation to the proxy whenever it changes.
+const ignoredStatics = ['length', 'name', 'prototype', 'caller', 'arguments', 'arity']
+function copyStatics(proxy, component) {
+  for (let key of Object.getOwnPropertyNames(component)) {
+    if (ignoredStatics.indexOf(key) === -1) {
+      try {
+        Object.defineProperty(proxy, key, Object.getOwnPropertyDescriptor(component, key))
+      }
+      catch (e) { }
+    }
+  }
+  proxy.displayName = component.displayName || component.name
+}
+
+
+/**
+ * Creates a component whose implementation can be swapped without changing
+ * its type, so that React updates existing instances instead of remounting
+ * them.
+ *
+ * Class instances keep their state, but switch to the new implementation's
+ * prototype methods. Anything set up in the constructor, like bound
+ * handlers, keeps its original implementation.
+ */
+function createProxy(initial) {
+  const isClass = isClassComponent(initial)
+  let current = initial
+  let instances = []
+  let proxy
+
+  if (isClass) {
+    proxy = function HotProxy(...args) {
+      const instance = Reflect.construct(current, args, proxy)
+      instances.push(instance)
+      return instance
+    }
+    proxy.prototype = Object.create(initial.prototype, {
+      constructor: { value: proxy, writable: true, configurable: true },
+    })
+  }
+  else {
+    proxy = function HotProxy(props, context) {
+      return current(props, context)
+    }
+  }
+
+  copyStatics(proxy, initial)
+
+  return {
+    component: proxy,
+
+    canUpdate(next) {
+      return typeof next === 'function' && isClassComponent(next) === isClass
+    },
+
+    update(next) {
+      current = next
+      copyStatics(proxy, next)
+      if (isClass) {
+        Object.setPrototypeOf(proxy.prototype, next.prototype)
+      }
+    },
+
+    // Class instances that implement `shouldComponentUpdate` wouldn't
+    // otherwise pick up the new implementation.
+    forceUpdate() {
+      instances = instances.filter(instance => instance.updater.isMounted(instance))
+      for (let instance of instances) {
+        instance.forceUpdate()
+      }
+    },
+  }
+}
+
+
+function selectDefault(exports) {
+  return { component: exports.default }
+}
+
+
+/**
+ * Creates a `prepare` function for component breadboards that swaps the
+ * implementation of the exported component in place when the source
+ * changes, so that the component keeps its state. When the new export can't
+ * replace the old one, e.g. because a class component has become a function,
+ * or because the previous render failed, a new component type is used so that
+ * React remounts the component instead.
+ *
+ * By default, the module's default export is rendered. To render something
+ * else, pass a `select` function that receives the module's exports and
+ * returns an object with the `component` to render, and any `props` to
+ * render it with. Any other properties are copied to the renderer.
+ *
+ * Each breadboard needs its own hot prepare function.
+ */
+export default function createHotPrepare(select=selectDefault) {
+  let proxy = null
+  let failed = false
+
+  function hotPrepare(source, require, window) {
+    let selection
+    try {
+      selection = select(executeModule(source, require, window))
+    }
+    catch (err) {
+      failed = true
+      return () => err
+    }
+
+    const { component, props: selectedProps, ...metadata } = selection
+
+    if (!component) {
+      return () => {}
+    }
+
+    let updated = false
+    if (proxy && !failed && proxy.canUpdate(component)) {
+      proxy.update(component)
+      updated = true
+    }
+    else {
+      proxy = createProxy(component)
+    }
+    failed = false
+
+    const currentProxy = proxy
+    const renderer = (mount, props={}) => {
+      try {
+        ReactDOM.render(React.createElement(currentProxy.component, { ...selectedProps, ...props }), mount)
+
+        if (updated) {
+          updated = false
+          currentProxy.forceUpdate()
+        }
+      }
+      catch (err) {
+        failed = true
+        return err
+      }
+    }
+
+    // Allows Breadboard to recognize renderers that can update the previous
+    // renderer's output in place.
+    renderer.hot = hotPrepare
+    Object.assign(renderer, metadata, { component: currentProxy.component })
+
+    return renderer
+  }
+
+  hotPrepare.hot = true
+  hotPrepare.reusesMarkup = true
+
+  return hotPrepare
+}
@@ -3,3 +3,12 @@ export { default as RawBreadboard } from './RawBreadboard'
 export { default as ComponentBreadboard } from './ComponentBreadboard'
 export { default as MDXBreadboard } from './MDXBreadboard'
 export { default as ResponsiveDualModeController } from './ResponsiveDualModeController'
+export { default as Inspector } from './Inspector'
+export { default as snapshotValue } from './snapshot'
+export { createSandboxPrepare } from './sandbox'
+export { default as exportBreadboard } from './exportBreadboard'
+export { default as createRequire, lazyModule } from './createRequire'
+export { default as createTransformWorker } from './createTransformWorker'
+export { default as TransformCache } from './TransformCache'
+export { encodeSources, decodeSources } from './persistence'
+export { setTypeScript } from './transforms'
@@ -0,0 +1,118 @@
+import { SourceMapConsumer } from 'source-map'
+
+
+/**
+ * The name of the function that instrumented code calls at the start of
+ * each loop iteration and function call. Breadboards provide it as a
+ * `window` property; see `FakeWindow`.
+ */
+export const LOOP_GUARD = '__breadboardLoopGuard__'
+
+
+/**
+ * A Babel plugin that instruments loops and functions with calls to the loop
+ * guard, passing the line number of the loop or function. This allows code
+ * that runs for too long to be aborted, instead of freezing the page.
+ *
+ * When instrumenting code that has already been compiled, pass the compiled
+ * code's source map as the `map` option, so that the line numbers refer to
+ * the original source.
+ */
+export default function loopProtectionPlugin({ types: t }) {
+  // Returns the line within the original source of the first of the given
+  // nodes that can be found there, or null if none of them can be. Code
+  // without an original location, like Babel's helpers, isn't guarded.
+  function getLine(nodes, state) {
+    const map = state.opts.map
+
+    for (let node of nodes) {
+      const start = node && node.loc && node.loc.start
+      if (!start) {
+        continue
+      }
+      if (!map) {
+        return start.line
+      }
+
+      if (!state.consumer) {
+        state.consumer = new SourceMapConsumer(map)
+      }
+      const original = state.consumer.originalPositionFor({ line: start.line, column: start.column })
+      if (original.line !== null) {
+        return original.line
+      }
+    }
+
+    return null
+  }
+
+  function createGuard(line) {
+    return t.expressionStatement(
+      t.callExpression(t.identifier(LOOP_GUARD), [t.numericLiteral(line)])
+    )
+  }
+
+  function guardLoop(path, state) {
+    const body = path.get('body')
+    const line = getLine([path.node, body.node], state)
+    if (line === null) {
+      return
+    }
+
+    const guard = createGuard(line)
+    if (body.isBlockStatement()) {
+      body.unshiftContainer('body', guard)
+    }
+    else {
+      body.replaceWith(t.blockStatement([guard, body.node]))
+    }
+  }
+
+  return {
+    visitor: {
+      Program: {
+        exit(path) {
+          // Code that runs outside of a breadboard, e.g. in a sandbox, just
+          // gets a guard that does nothing.
+          path.unshiftContainer('body', t.variableDeclaration('var', [
+            t.variableDeclarator(
+              t.identifier(LOOP_GUARD),
+              t.logicalExpression('||',
+                t.logicalExpression('&&',
+                  t.binaryExpression('!==', t.unaryExpression('typeof', t.identifier('window')), t.stringLiteral('undefined')),
+                  t.memberExpression(t.identifier('window'), t.identifier(LOOP_GUARD))
+                ),
+                t.functionExpression(null, [], t.blockStatement([]))
+              )
+            ),
+          ]))
+        },
+      },
+
+      WhileStatement: guardLoop,
+      DoWhileStatement: guardLoop,
+      ForStatement: guardLoop,
+      ForInStatement: guardLoop,
+      ForOfStatement: guardLoop,
+
+      // Guarding functions catches runaway recursion that doesn't overflow
+      // the stack, e.g. exponential algorithms.
+      Function(path, state) {
+        const body = path.get('body')
+        const firstStatement = body.isBlockStatement() ? body.node.body[0] : body.node
+        const line = getLine([path.node, firstStatement], state)
+        if (line === null) {
+          return
+        }
+
+        const guard = createGuard(line)
+        if (body.isBlockStatement()) {
+          body.unshiftContainer('body', guard)
+        }
+        else {
+          body.replaceWith(t.blockStatement([guard, t.returnStatement(body.node)]))
+        }
+      },
+    },
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Utilities for serving `fetch` requests made by breadboard code with mock
+ * handlers.
+ *
+ * Handlers are specified as an object whose keys are route patterns, and
+ * whose values are either response objects or functions that receive a
+ * request and return a response object (or a promise to one).
+ *
+ * Patterns can start with an HTTP method, e.g. `POST /api/todos`. Patterns
+ * starting with `/` are matched against the request's path, while other
+ * patterns are matched against the full URL. Path segments starting with `:`
+ * match any segment, and are made available on `request.params`, while `*`
+ * matches anything.
+ *
+ * Response objects can have the following properties:
+ *
+ * - `status`: the HTTP status code, defaulting to 200
+ * - `statusText`: the HTTP status text
+ * - `headers`: an object containing response headers
+ * - `json`: a value that will be serialized as the JSON response body
+ * - `body`: a string to use as the response body
+ * - `delay`: the number of milliseconds to wait before responding
+ * - `error`: if specified, the request will fail with this message, as if
+ *   a network error had occured
+ */
+
+
+function createPatternRegExp(pattern) {
+  const names = []
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => {
+      names.push(name)
+      return '([^/?#]+)'
+    })
+  return { regExp: new RegExp('^'+source+'$'), names }
+}
+
+function parseQuery(search) {
+  const query = {}
+  for (let pair of search.split('&')) {
+    if (pair) {
+      const [key, value=''] = pair.split('=').map(x => decodeURIComponent(x.replace(/\+/g, ' ')))
+      query[key] = value
+    }
+  }
+  return query
+}
+
+
+/**
+ * Creates a plain request object from the arguments passed to `fetch`. The
+ * input can be a `Request`, or anything that can be converted to a URL
+ * string, e.g. a `URL` object.
+ */
+export function createMockRequest(input, init) {
+  init = init || {}
+  const url = String(input && typeof input === 'object' && input.url ? input.url : input)
+  const method = (init.method || (typeof input === 'object' && input.method) || 'GET').toUpperCase()
+  const [withoutHash] = url.split('#')
+  const [location, search=''] = withoutHash.split('?')
+
+  return {
+    url,
+    method,
+    path: location.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '') || '/',
+    query: parseQuery(search),
+    headers: init.headers || {},
+    body: init.body,
+    params: {},
+  }
+}
+
+
+/**
+ * Returns the handler for the given request along with the request's params,
+ * or `undefined` if no handler matches.
+ */
+export function findFetchHandler(handlers, request) {
+  for (let key of Object.keys(handlers)) {
+    const methodMatch = key.match(/^([A-Z]+)\s+(.*)$/)
+    const method = methodMatch ? methodMatch[1] : null
+    const pattern = methodMatch ? methodMatch[2] : key
+
+    if (method && method !== request.method) {
+      continue
+    }
+
+    const { regExp, names } = createPatternRegExp(pattern)
+    const match = (pattern[0] === '/' ? request.path : request.url.split('#')[0].split('?')[0]).match(regExp)
+
+    if (match) {
+      const params = {}
+      names.forEach((name, i) => {
+        params[name] = decodeURIComponent(match[i + 1])
+      })
+      return { handler: handlers[key], params }
+    }
+  }
+}
+
+
+function createResponse({ status=200, statusText='', headers={}, json, body }) {
+  const text = json !== undefined ? JSON.stringify(json) : (body || '')
+  const responseHeaders =
+    json !== undefined
+      ? { 'Content-Type': 'application/json', ...headers }
+      : headers
+
+  if (typeof Response !== 'undefined') {
+    return new Response(text, { status, statusText, headers: responseHeaders })
+  }
+
+  // A minimal implementation for environments without `Response`
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: {
+      get: name => {
+        const key = Object.keys(responseHeaders).find(key => key.toLowerCase() === name.toLowerCase())
+        return key ? responseHeaders[key] : null
+      },
+    },
+    text: () => Promise.resolve(text),
+    json: () => Promise.resolve(text).then(JSON.parse),
+  }
+}
+
+
+/**
+ * Returns a promise to a `Response` object, created by the given handler.
+ */
+export function respondWithHandler(handler, request, setTimeout) {
+  return Promise.resolve()
+    .then(() => typeof handler === 'function' ? handler(request) : handler)
+    .then((result={}) => new Promise((resolve, reject) => {
+      const respond = () => {
+        if (result.error) {
+          reject(new TypeError(result.error))
+        }
+        else {
+          resolve(createResponse(result))
+        }
+      }
+
+      if (result.delay) {
+        setTimeout(respond, result.delay)
+      }
+      else {
+        respond()
+      }
+    }))
+}
@@ -0,0 +1,129 @@
+import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from 'lz-string'
+
+
+/**
+ * Utilities for persisting a breadboard's edited sources, both to
+ * `localStorage` and to the URL's hash. Sources are stored as an object
+ * mapping filenames to sources.
+ */
+
+const STORAGE_PREFIX = 'armo-breadboard:'
+
+
+// Stored and shared sources can't be trusted to have the right shape, so
+// anything other than a non-empty map of filenames to strings is ignored.
+function validateSources(sources) {
+  if (!sources || typeof sources !== 'object' || Array.isArray(sources)) {
+    return null
+  }
+  const filenames = Object.keys(sources)
+  if (!filenames.length || filenames.some(filename => typeof sources[filename] !== 'string')) {
+    return null
+  }
+  return sources
+}
+
+
+/**
+ * Compresses sources into a string that is safe to use within a URL.
+ */
+export function encodeSources(sources) {
+  return compressToEncodedURIComponent(JSON.stringify(sources))
+}
+
+/**
+ * Decodes a string created with `encodeSources`, returning `null` if the
+ * string is invalid.
+ */
+export function decodeSources(str) {
+  try {
+    return validateSources(JSON.parse(decompressFromEncodedURIComponent(str)))
+  }
+  catch (e) {
+    return null
+  }
+}
+
+
+function getStorage() {
+  // Accessing `localStorage` can throw when it is disabled
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null
+  }
+  catch (e) {
+    return null
+  }
+}
+
+export function saveSources(storageKey, sources) {
+  const storage = getStorage()
+  if (storage) {
+    try {
+      storage.setItem(STORAGE_PREFIX+storageKey, JSON.stringify(sources))
+    }
+    catch (e) { }
+  }
+}
+
+export function loadSources(storageKey) {
+  const storage = getStorage()
+  if (storage) {
+    try {
+      return validateSources(JSON.parse(storage.getItem(STORAGE_PREFIX+storageKey)))
+    }
+    catch (e) { }
+  }
+  return null
+}
+
+export function clearSources(storageKey) {
+  const storage = getStorage()
+  if (storage) {
+    try {
+      storage.removeItem(STORAGE_PREFIX+storageKey)
+    }
+    catch (e) { }
+  }
+}
+
+
+// The hash can contain sources for multiple breadboards, in the format
+// `#key1=encoded1&key2=encoded2`.
+function parseHash(hash) {
+  const result = {}
+  for (let pair of hash.replace(/^#/, '').split('&')) {
+    const index = pair.indexOf('=')
+    if (index !== -1) {
+      result[decodeURIComponent(pair.slice(0, index))] = pair.slice(index + 1)
+    }
+  }
+  return result
+}
+
+/**
+ * Returns the sources stored in the current URL's hash for the given key, or
+ * `null` if there are none.
+ */
+export function readSourcesFromHash(storageKey) {
+  if (typeof window === 'undefined') {
+    return null
+  }
+  const encoded = parseHash(window.location.hash)[storageKey]
+  return encoded ? decodeSources(encoded) : null
+}
+
+/**
+ * Returns a URL for the current page, with the given sources stored in the
+ * hash under the given key.
+ */
+export function createShareURL(storageKey, sources) {
+  const location = window.location
+  const entries = parseHash(location.hash)
+  entries[storageKey] = encodeSources(sources)
+
+  const hash = Object.keys(entries)
+    .map(key => encodeURIComponent(key)+'='+entries[key])
+    .join('&')
+
+  return location.href.split('#')[0]+'#'+hash
+}
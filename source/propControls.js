@@ -0,0 +1,100 @@
+import ReactPropTypesSecret from 'prop-types/lib/ReactPropTypesSecret'
+
+
+// PropTypes validators don't say what they accept, so we find out by
+// calling them with a sample of each kind of value. Passing the secret
+// avoids the warning that React logs when validators are called manually.
+function accepts(validator, name, value) {
+  try {
+    return validator({ [name]: value }, name, 'Breadboard', 'prop', name, ReactPropTypesSecret) == null
+  }
+  catch (e) {
+    return false
+  }
+}
+
+// `oneOf` validators list the values they expect in their error message
+function getOneOfOptions(validator, name) {
+  try {
+    const error = validator({ [name]: '\0' }, name, 'Breadboard', 'prop', name, ReactPropTypesSecret)
+    const match = error && /expected one of (\[.*\])\.$/.exec(error.message)
+    return match ? JSON.parse(match[1]) : null
+  }
+  catch (e) {
+    return null
+  }
+}
+
+function getControlType(validator, name) {
+  const string = accepts(validator, name, 'a')
+  const number = accepts(validator, name, 0)
+  const bool = accepts(validator, name, true)
+  const object = accepts(validator, name, {}) || accepts(validator, name, [])
+
+  // Validators that accept anything, like `any` or the shims used in
+  // production builds, get a JSON editor.
+  if (string && number && bool && object) {
+    return 'json'
+  }
+  if (string) {
+    return 'string'
+  }
+  if (number) {
+    return 'number'
+  }
+  if (bool) {
+    return 'bool'
+  }
+  if (object) {
+    return 'json'
+  }
+}
+
+
+const cache = new WeakMap
+
+/**
+ * Returns a list of the editable props of the given component, inferred from
+ * its `propTypes`. Each item has a `name`, a `type` of `string`, `number`,
+ * `bool`, `oneOf` or `json`, a `required` flag, and a `defaultValue` from the
+ * component's `defaultProps`. Items of type `oneOf` also have a list of
+ * `options`.
+ *
+ * Props that can't be edited, like functions and elements, are omitted.
+ */
+export default function getPropControls(component) {
+  const propTypes = component && component.propTypes
+  if (!propTypes || typeof propTypes !== 'object') {
+    return []
+  }
+
+  const defaultProps = component.defaultProps || {}
+  const cached = cache.get(propTypes)
+  if (cached && cached.defaultProps === defaultProps) {
+    return cached.controls
+  }
+
+  const controls = []
+  for (let name of Object.keys(propTypes)) {
+    const validator = propTypes[name]
+    if (typeof validator !== 'function') {
+      continue
+    }
+
+    const options = getOneOfOptions(validator, name)
+    const type = options ? 'oneOf' : getControlType(validator, name)
+    if (type) {
+      controls.push({
+        name,
+        type,
+        options: options || undefined,
+        required: !accepts(validator, name, undefined),
+        defaultValue: defaultProps[name],
+      })
+    }
+  }
+
+  cache.set(propTypes, { defaultProps, controls })
+
+  return controls
+}
@@ -0,0 +1,297 @@
+import React from 'react'
+import { withSourceURL } from './errors'
+
+
+export function defaultScripts() {
+  return [
+    `https://unpkg.com/react@${React.version}/dist/react.min.js`,
+    `https://unpkg.com/react-dom@${React.version}/dist/react-dom.min.js`,
+  ]
+}
+
+export const defaultModules = {
+  'react': 'React',
+  'react-dom': 'ReactDOM',
+}
+
+
+// This script runs within the sandboxed iframe, and is responsible for
+// executing the source and forwarding console messages and errors to the
+// host page. It has no access to the host page, so all communication happens
+// via `postMessage`.
+function createBridgeScript(type, modules) {
+  return `
+(function() {
+  var type = ${JSON.stringify(type)};
+  var modules = ${JSON.stringify(modules)};
+  var root = document.getElementById('root');
+  var component = null;
+  var execute = null;
+
+  function require(name) {
+    if (modules.hasOwnProperty(name)) {
+      return window[modules[name]];
+    }
+    throw new Error('Cannot find module "' + name + '". Available modules are: ' + Object.keys(modules).map(function(name) { return '"' + name + '"'; }).join(', ') + '.');
+  }
+  require.import = function(name) {
+    return new Promise(function(resolve) {
+      var exports = require(name);
+      resolve(exports && exports.__esModule ? exports : Object.assign({ default: exports }, exports));
+    });
+  };
+
+  function post(message) {
+    try {
+      parent.postMessage(message, '*');
+    }
+    catch (e) {
+      // Some values (e.g. functions and DOM nodes) can't be cloned, so fall
+      // back to sending their string representation.
+      if (message.args) {
+        message.args = message.args.map(function(arg) { return String(arg); });
+        parent.postMessage(message, '*');
+      }
+    }
+  }
+
+  function reportError(error) {
+    post({
+      type: 'error',
+      name: error && error.name,
+      message: (error && error.message) || String(error),
+      stack: error && error.stack,
+    });
+  }
+
+  function reportHeight() {
+    post({ type: 'resize', height: document.documentElement.scrollHeight });
+  }
+
+  Object.keys(console).forEach(function(method) {
+    if (typeof console[method] === 'function') {
+      console[method] = function() {
+        post({ type: 'console', method: method, args: Array.prototype.slice.call(arguments) });
+      };
+    }
+  });
+
+  window.addEventListener('error', function(e) {
+    reportError(e.error || e.message);
+  });
+  window.addEventListener('unhandledrejection', function(e) {
+    reportError(e.reason);
+  });
+
+  function render(props) {
+    try {
+      if (execute) {
+        execute(props);
+      }
+      else if (component) {
+        ReactDOM.render(React.createElement(component, props), root);
+      }
+    }
+    catch (e) {
+      reportError(e);
+    }
+    reportHeight();
+  }
+
+  window.addEventListener('message', function(event) {
+    if (event.source !== parent) {
+      return;
+    }
+
+    var data = event.data;
+    if (data.type === 'execute') {
+      var module = { exports: {} };
+      try {
+        if (type === 'raw') {
+          var fn = new Function('module', 'exports', 'require', 'breadboard', 'React', 'ReactDOM', '__MOUNT__', data.source);
+          execute = function(props) {
+            fn(module, module.exports, require, props, window.React, window.ReactDOM, root);
+          };
+        }
+        else {
+          new Function('module', 'exports', 'require', data.source)(module, module.exports, require);
+          component = module.exports.default;
+        }
+      }
+      catch (e) {
+        reportError(e);
+        return;
+      }
+      render(data.props);
+    }
+    else if (data.type === 'render') {
+      render(data.props);
+    }
+  });
+
+  if (window.MutationObserver) {
+    new MutationObserver(reportHeight).observe(document.body, { childList: true, subtree: true, attributes: true });
+  }
+
+  post({ type: 'ready' });
+})();
+`
+}
+
+function createDocument(type, scripts, modules) {
+  return (
+    '<!DOCTYPE html><html><head><meta charset="utf-8">'+
+    scripts.map(src => `<script src="${src}"></script>`).join('')+
+    '</head><body style="margin:0"><div id="root"></div>'+
+    '<script>'+createBridgeScript(type, modules)+'</script>'+
+    '</body></html>'
+  )
+}
+
+// The console methods that the sandbox can call on the breadboard's console.
+// Messages come from untrusted code, so they mustn't be able to call the
+// console's other actions, e.g. to submit input or reset it.
+const forwardedConsoleMethods = [
+  'log', 'info', 'debug', 'error', 'warn', 'dir', 'dirxml', 'trace', 'table',
+  'assert', 'group', 'groupCollapsed', 'groupEnd', 'time', 'timeLog',
+  'timeEnd', 'count', 'countReset',
+]
+
+// Only serializable props can be passed into the iframe, so anything else
+// (e.g. callbacks) will be dropped.
+function toSerializable(props) {
+  try {
+    return JSON.parse(JSON.stringify(props || {}))
+  }
+  catch (e) {
+    return {}
+  }
+}
+
+
+/**
+ * Creates a `prepare` function that executes the source within a sandboxed
+ * iframe, which has no access to the host page. Console messages are
+ * forwarded to the breadboard's console, and errors are reported via the
+ * `onError` callback passed to `prepare`.
+ *
+ * As the sandbox can't access the host page's `require` function, modules are
+ * made available by loading `scripts` into the iframe, and then mapping module
+ * names to the globals they define via `modules`. By default, the host page's
+ * version of React and ReactDOM are loaded from unpkg.
+ *
+ * Use `type: 'raw'` for sources that render themselves to `__MOUNT__`, as with
+ * RawBreadboard, or `type: 'component'` for sources that export a default
+ * component, as with ComponentBreadboard.
+ *
+ * Sandboxed sources are never executed by the host page, so breadboards that
+ * use them aren't rendered to a string on the server.
+ */
+export function createSandboxPrepare({ type='component', scripts=defaultScripts(), modules=defaultModules }={}) {
+  const srcDoc = createDocument(type, scripts, modules)
+
+  function sandboxPrepare(source, require, fakeWindow, { onError }={}) {
+    let iframe = null
+    let ready = false
+    let executed = false
+    let pendingProps = null
+
+    const post = (message) => {
+      iframe.contentWindow.postMessage(message, '*')
+    }
+
+    const run = (props) => {
+      if (!executed) {
+        executed = true
+        post({ type: 'execute', source: withSourceURL(source), props })
+      }
+      else {
+        post({ type: 'render', props })
+      }
+    }
+
+    const handleMessage = (event) => {
+      if (!iframe || event.source !== iframe.contentWindow) {
+        return
+      }
+
+      const data = event.data
+      if (!data || typeof data !== 'object') {
+        return
+      }
+
+      switch (data.type) {
+        case 'ready':
+          ready = true
+          run(pendingProps)
+          break
+
+        case 'console': {
+          const console = fakeWindow.console
+          if (console &&
+              forwardedConsoleMethods.indexOf(data.method) !== -1 &&
+              Array.isArray(data.args) &&
+              typeof console[data.method] === 'function') {
+            console[data.method](...data.args)
+          }
+          break
+        }
+
+        case 'error':
+          if (onError) {
+            const error = new Error(data.message)
+            error.name = data.name || 'Error'
+            error.stack = data.stack
+            onError(error)
+          }
+          break
+
+        case 'resize':
+          if (typeof data.height === 'number') {
+            iframe.style.height = data.height+'px'
+          }
+          break
+      }
+    }
+
+    const renderer = (mount, props={}) => {
+      if (!iframe || iframe.parentNode !== mount) {
+        renderer.dispose()
+
+        iframe = document.createElement('iframe')
+        iframe.setAttribute('sandbox', 'allow-scripts')
+        iframe.style.border = '0'
+        iframe.style.width = '100%'
+        iframe.srcdoc = srcDoc
+
+        window.addEventListener('message', handleMessage)
+        mount.appendChild(iframe)
+      }
+
+      if (ready) {
+        run(toSerializable(props))
+      }
+      else {
+        pendingProps = toSerializable(props)
+      }
+    }
+
+    renderer.dispose = () => {
+      window.removeEventListener('message', handleMessage)
+      if (iframe && iframe.parentNode) {
+        iframe.parentNode.removeChild(iframe)
+      }
+      iframe = null
+      ready = false
+      executed = false
+    }
+
+    return renderer
+  }
+
+  // Tells Breadboard not to render the source to a string, as that would
+  // execute it outside of the sandbox.
+  sandboxPrepare.sandboxed = true
+
+  return sandboxPrepare
+}
@@ -0,0 +1,223 @@
+/**
+ * Converts values logged to a breadboard's console into plain objects that
+ * can be stored, serialized and sent between windows. Snapshots are taken at
+ * the time the value is logged, so later changes to the value aren't
+ * reflected in the console.
+ *
+ * Each snapshot is an object with a `type`, which is one of:
+ *
+ * - `undefined`, `null`, `boolean`, `number`, `string`, `bigint` and `symbol`,
+ *   with a `description` of the value. Booleans, strings and finite numbers
+ *   also have a `value`.
+ * - `function`, with a `name` and `description`
+ * - `date` and `regexp`, with a `description`
+ * - `error`, with a `name`, `message` and `stack`
+ * - `array`, with its `length`
+ * - `object`, with its `className`
+ * - `map` and `set`, with their `size`
+ * - `element`, a React element, with its `elementType` name and `key`
+ * - `node`, a DOM node, with its `nodeName` and a `description`
+ * - `circular`, for references to an object that contains itself
+ *
+ * Arrays, objects, maps, sets and elements have a list of `entries`. Each
+ * entry has a `value` snapshot, along with a `name` for arrays, objects and
+ * element props, or a `key` snapshot for maps. The `entries` are `null` when
+ * the value is too deeply nested to be captured, and `truncated` holds the
+ * number of entries that were left out because there were too many.
+ */
+
+
+const MAX_DEPTH = 8
+const MAX_ENTRIES = 100
+
+// Limits the total size of a snapshot, so that logging huge object graphs
+// doesn't freeze the page.
+const MAX_NODES = 2000
+
+
+const reactElementType = typeof Symbol === 'function' && Symbol.for && Symbol.for('react.element')
+
+function isReactElement(value) {
+  return value.$$typeof === reactElementType || value.$$typeof === 0xeac7
+}
+
+function isDOMNode(value) {
+  return typeof value.nodeType === 'number' && typeof value.nodeName === 'string'
+}
+
+// Uses the value's tag instead of `instanceof`, so that values from other
+// windows are recognized.
+function getTag(value) {
+  return Object.prototype.toString.call(value).slice(8, -1)
+}
+
+function getClassName(value) {
+  try {
+    const prototype = Object.getPrototypeOf(value)
+    if (!prototype) {
+      return 'Object'
+    }
+    const constructor = prototype.constructor
+    return (typeof constructor === 'function' && constructor.name) || 'Object'
+  }
+  catch (e) {
+    return 'Object'
+  }
+}
+
+function getElementTypeName(type) {
+  if (typeof type === 'string') {
+    return type
+  }
+  if (typeof type === 'function') {
+    return type.displayName || type.name || 'Unknown'
+  }
+  return 'Unknown'
+}
+
+function describeFunction(fn) {
+  let source = ''
+  try {
+    source = Function.prototype.toString.call(fn)
+  }
+  catch (e) { }
+  return (/^class\b/.test(source) ? 'class ' : 'ƒ ')+(fn.name || 'anonymous')+(/^class\b/.test(source) ? '' : '()')
+}
+
+function describeNode(node) {
+  if (node.nodeType === 1) {
+    let description = '<'+node.nodeName.toLowerCase()
+    const attributes = node.attributes || []
+    for (let i = 0; i < attributes.length; i++) {
+      description += ' '+attributes[i].name+'="'+attributes[i].value+'"'
+    }
+    return description+'>'
+  }
+  if (node.nodeType === 3) {
+    return JSON.stringify(node.nodeValue)
+  }
+  return node.nodeName
+}
+
+// Reads a property without letting getters throw
+function read(object, key) {
+  try {
+    return object[key]
+  }
+  catch (err) {
+    return err
+  }
+}
+
+
+function snapshot(value, context, depth) {
+  const type = typeof value
+
+  if (value === undefined) {
+    return { type: 'undefined', description: 'undefined' }
+  }
+  if (value === null) {
+    return { type: 'null', description: 'null' }
+  }
+  if (type === 'boolean' || type === 'string') {
+    return { type, value, description: String(value) }
+  }
+  if (type === 'number') {
+    const description = Object.is(value, -0) ? '-0' : String(value)
+    return isFinite(value) ? { type, value, description } : { type, description }
+  }
+  if (type === 'bigint') {
+    return { type, description: String(value)+'n' }
+  }
+  if (type === 'symbol') {
+    return { type, description: value.toString() }
+  }
+  if (type === 'function') {
+    return { type, name: value.name || '', description: describeFunction(value) }
+  }
+
+  if (context.ancestors.indexOf(value) !== -1) {
+    return { type: 'circular', description: '[Circular]' }
+  }
+
+  const tag = getTag(value)
+
+  if (tag === 'Date') {
+    const time = value.getTime()
+    return { type: 'date', description: isNaN(time) ? 'Invalid Date' : value.toISOString() }
+  }
+  if (tag === 'RegExp') {
+    return { type: 'regexp', description: String(value) }
+  }
+  if (tag === 'Error' || value instanceof Error) {
+    return {
+      type: 'error',
+      name: String(read(value, 'name') || 'Error'),
+      message: String(read(value, 'message') || ''),
+      stack: typeof value.stack === 'string' ? value.stack : undefined,
+    }
+  }
+  if (isDOMNode(value)) {
+    return { type: 'node', nodeName: value.nodeName, description: describeNode(value) }
+  }
+
+  let result
+  let collect
+  if (isReactElement(value)) {
+    result = { type: 'element', elementType: getElementTypeName(value.type), key: value.key }
+    collect = add => Object.keys(value.props || {}).forEach(name => add({ name, value: value.props[name] }))
+  }
+  else if (tag === 'Map') {
+    result = { type: 'map', size: value.size }
+    collect = add => value.forEach((value, key) => add({ key, value }))
+  }
+  else if (tag === 'Set') {
+    result = { type: 'set', size: value.size }
+    collect = add => value.forEach(value => add({ value }))
+  }
+  else if (Array.isArray(value)) {
+    result = { type: 'array', length: value.length }
+    collect = add => {
+      for (let i = 0; i < value.length; i++) {
+        add({ name: String(i), value: value[i] })
+      }
+    }
+  }
+  else {
+    result = { type: 'object', className: getClassName(value) }
+    collect = add => Object.keys(value).forEach(name => add({ name, value: read(value, name) }))
+  }
+
+  context.nodes++
+  if (depth >= MAX_DEPTH || context.nodes > MAX_NODES) {
+    result.entries = null
+    return result
+  }
+
+  const entries = []
+  let truncated = 0
+  context.ancestors.push(value)
+  collect(entry => {
+    if (entries.length >= MAX_ENTRIES) {
+      truncated++
+      return
+    }
+    if (entry.hasOwnProperty('key')) {
+      entry.key = snapshot(entry.key, context, depth + 1)
+    }
+    entry.value = snapshot(entry.value, context, depth + 1)
+    entries.push(entry)
+  })
+  context.ancestors.pop()
+
+  result.entries = entries
+  if (truncated) {
+    result.truncated = truncated
+  }
+  return result
+}
+
+
+export default function snapshotValue(value) {
+  return snapshot(value, { ancestors: [], nodes: 0 }, 0)
+}
@@ -0,0 +1,91 @@
+// Named exports are only treated as components if they're capitalized, so
+// that helper functions can be exported alongside stories.
+function isComponentExport(key, value) {
+  return typeof value === 'function' && /^[A-Z]/.test(key)
+}
+
+function isStoryObject(value) {
+  return !!value && typeof value === 'object' && !!(value.props || value.component)
+}
+
+
+function getComponentName(component) {
+  return component.displayName || component.name || 'Default'
+}
+
+
+/**
+ * Returns the stories exported by a component module. A component default
+ * export is always the first story, with the id `default`. Other stories are
+ * either named exports containing a component, or objects with a `name`,
+ * `props` and optional `component`, which defaults to the module's default
+ * export.
+ *
+ * Each story is returned as an object with an `id` (the export's name), a
+ * `name`, a `component` and any `props`.
+ */
+export function findStories(exports) {
+  const stories = []
+
+  if (!exports || typeof exports !== 'object') {
+    return stories
+  }
+
+  if (typeof exports.default === 'function') {
+    stories.push({
+      id: 'default',
+      name: getComponentName(exports.default),
+      component: exports.default,
+      props: {},
+    })
+  }
+
+  for (let id of Object.keys(exports)) {
+    const value = exports[id]
+
+    if (id === 'default' || id === '__esModule') {
+      continue
+    }
+
+    if (isComponentExport(id, value)) {
+      stories.push({
+        id,
+        name: id,
+        component: value,
+        props: {},
+      })
+    }
+    else if (isStoryObject(value)) {
+      const component = value.component || exports.default
+      if (typeof component === 'function') {
+        stories.push({
+          id,
+          name: value.name || id,
+          component,
+          props: value.props || {},
+        })
+      }
+    }
+  }
+
+  return stories
+}
+
+
+/**
+ * Selects the component that a component module should render. This is the
+ * story with the given id, or the first story if there is no such story, which
+ * is the default export when it is a component. Modules without any stories
+ * fall back to their default export.
+ */
+export default function selectStory(exports, id) {
+  const stories = findStories(exports)
+  const story = stories.find(story => story.id === id) || stories[0]
+
+  return {
+    stories: stories.map(({ id, name }) => ({ id, name })),
+    story: story ? story.id : null,
+    component: story ? story.component : exports && exports.default,
+    props: story ? story.props : {},
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * The entry point for a Web Worker that runs the built-in breadboard
+ * transforms off the main thread. Load this file with your bundler's worker
+ * loader, and pass the resulting worker to `createTransformWorker`.
+ *
+ * Each message should be an object with an `id`, the `name` of a transform
+ * from `transforms.js`, the `source` and an `options` object. The worker
+ * replies with the same `id` and the serialized `result`.
+ */
+
+import { transforms, serializeTransformResult } from './transforms'
+
+
+self.addEventListener('message', (event) => {
+  const { id, name, source, options } = event.data
+  const transform = transforms[name]
+
+  const result =
+    transform
+      ? transform(source, options || {})
+      : { error: { name: 'Error', message: `Unknown transform "${name}"`, phase: 'transform' } }
+
+  self.postMessage({ id, result: serializeTransformResult(result) })
+})
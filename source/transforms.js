@@ -0,0 +1,380 @@
+import { transform } from 'babel-core'
+import dynamicImportSyntaxPlugin from 'babel-plugin-syntax-dynamic-import'
+import latestPreset from 'babel-preset-latest'
+import reactPreset from 'babel-preset-react'
+import frontMatter from 'front-matter'
+import MDXC from 'mdxc'
+import { getIdentityKey } from './BreadboardBuild'
+import { createTransformError, serializeError, deserializeError } from './errors'
+import loopProtectionPlugin from './loopProtection'
+
+
+/**
+ * The transforms used by the built-in breadboards. Each transform takes a
+ * source string and an options object, and returns an object containing
+ * `transformedSource`, `executableSource`, `map`, `error` and an optional
+ * array of non-fatal `warnings`.
+ *
+ * As these functions only depend on their arguments, they can be run within
+ * a Web Worker; see `transformWorker.js`.
+ */
+
+
+const wrappedMDXC = new MDXC({
+  linkify: true,
+  typographer: true,
+  highlight: false,
+})
+const unwrappedMDXC = new MDXC({
+  linkify: true,
+  typographer: true,
+  highlight: false,
+  unwrapped: true,
+})
+
+
+/**
+ * The languages that component and raw source can be written in:
+ *
+ * - `javascript`: modern JavaScript with JSX. Flow type annotations are also
+ *   stripped, as they always have been.
+ * - `flow`: the same as `javascript`
+ * - `typescript`: TypeScript, which requires the `typescript` package
+ */
+export const languages = ['javascript', 'flow', 'typescript']
+
+// Replaces `import()` with `require.import()`, which is provided by
+// `createRequire` and by the packed module runtime.
+function dynamicImportPlugin({ types: t }) {
+  return {
+    inherits: dynamicImportSyntaxPlugin,
+    visitor: {
+      CallExpression(path) {
+        if (path.node.callee.type === 'Import') {
+          path.node.callee = t.memberExpression(t.identifier('require'), t.identifier('import'))
+        }
+      },
+    },
+  }
+}
+
+// The React preset includes the Flow preset, so type annotations are
+// stripped from plain JavaScript too.
+const javascriptBabelOptions = {
+  presets: [reactPreset, latestPreset],
+  plugins: [dynamicImportPlugin],
+}
+const languageBabelOptions = {
+  javascript: javascriptBabelOptions,
+  flow: javascriptBabelOptions,
+}
+
+/**
+ * Checks that a `babelOptions` object only contains `presets`, `plugins` and
+ * `parserOpts`, throwing an error that explains the problem if it doesn't.
+ */
+export function validateBabelOptions(babelOptions) {
+  if (!babelOptions || typeof babelOptions !== 'object') {
+    throw new Error('babelOptions must be an object.')
+  }
+
+  for (let key of Object.keys(babelOptions)) {
+    const value = babelOptions[key]
+
+    if (key === 'presets' || key === 'plugins') {
+      if (!Array.isArray(value)) {
+        throw new Error(`babelOptions.${key} must be an array.`)
+      }
+      value.forEach((item, i) => {
+        const plugin = Array.isArray(item) ? item[0] : item
+        if (!plugin || (typeof plugin !== 'function' && typeof plugin !== 'object' && typeof plugin !== 'string')) {
+          throw new Error(`babelOptions.${key}[${i}] must be a ${key.slice(0, -1)}, but received ${String(plugin)}.`)
+        }
+      })
+    }
+    else if (key === 'parserOpts') {
+      if (!value || typeof value !== 'object') {
+        throw new Error('babelOptions.parserOpts must be an object.')
+      }
+    }
+    else {
+      throw new Error(`Unknown babelOptions key "${key}". Expected one of: presets, plugins, parserOpts.`)
+    }
+  }
+}
+
+// User presets are added after the default presets, so that they run first,
+// while plugins always run before presets.
+function mergeBabelOptions(options, babelOptions) {
+  if (!babelOptions) {
+    return options
+  }
+
+  validateBabelOptions(babelOptions)
+
+  return {
+    ...options,
+    presets: (options.presets || []).concat(babelOptions.presets || []),
+    plugins: (options.plugins || []).concat(babelOptions.plugins || []),
+    parserOpts: babelOptions.parserOpts,
+  }
+}
+
+let typescript = null
+
+/**
+ * Provides the `typescript` package, which is used to compile TypeScript
+ * source. It isn't imported directly, so that it isn't added to the bundles
+ * of apps that don't use TypeScript. In Node, it's loaded automatically.
+ */
+export function setTypeScript(ts) {
+  typescript = ts
+}
+
+function getTypeScript() {
+  if (!typescript) {
+    // Hidden from bundlers, so that they don't bundle the compiler
+    try {
+      typescript = eval('require')('typescript')
+    }
+    catch (e) {
+      throw new Error('TypeScript source requires the `typescript` package. Install it, and pass it to `setTypeScript` from armo-breadboard.')
+    }
+  }
+  return typescript
+}
+
+function compileTypeScript(source) {
+  const ts = getTypeScript()
+
+  const result = ts.transpileModule(source, {
+    fileName: 'index.tsx',
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES5,
+      module: ts.ModuleKind.CommonJS,
+      jsx: ts.JsxEmit.React,
+      esModuleInterop: true,
+      sourceMap: true,
+    },
+  })
+
+  // As `transpileModule` only checks syntax, TypeScript will emit code even
+  // when there are diagnostics, so they're treated as warnings.
+  const warnings = (result.diagnostics || []).map(diagnostic => {
+    const position =
+      diagnostic.file && diagnostic.start !== undefined
+        ? diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+        : null
+
+    return createTransformError({
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+      loc: position && { line: position.line + 1, column: position.character },
+    }, source)
+  })
+
+  return {
+    code: result.outputText.replace(/\n\/\/# sourceMappingURL=.*$/, ''),
+    map: result.sourceMapText ? JSON.parse(result.sourceMapText) : null,
+    warnings,
+  }
+}
+
+function compile(source, language='javascript', babelOptions) {
+  if (language === 'typescript') {
+    if (babelOptions) {
+      throw new Error('babelOptions cannot be used with TypeScript.')
+    }
+    return compileTypeScript(source)
+  }
+
+  const options = languageBabelOptions[language]
+  if (!options) {
+    throw new Error(`Unknown language "${language}". Expected one of: ${languages.join(', ')}.`)
+  }
+
+  const result = transform(source, { ...mergeBabelOptions(options, babelOptions), sourceMaps: true })
+  return {
+    code: result.code,
+    map: result.map,
+    warnings: [],
+  }
+}
+
+
+// Instruments compiled code so that infinite loops can be aborted. This is
+// done in a separate pass, so that the transformed source shown to readers
+// doesn't contain the instrumentation.
+function protectLoops(code, map) {
+  const result = transform(code, {
+    babelrc: false,
+    plugins: [[loopProtectionPlugin, { map }]],
+    inputSourceMap: map || undefined,
+    sourceMaps: true,
+  })
+  return {
+    code: result.code,
+    map: result.map,
+  }
+}
+
+
+/**
+ * Instruments console input with the loop guard, so that input like
+ * `while (true) {}` is aborted instead of freezing the page. Input isn't
+ * otherwise transformed. Throws a transform error if the input can't be
+ * parsed.
+ */
+export function protectConsoleInput(code) {
+  try {
+    return transform(code, {
+      babelrc: false,
+      sourceType: 'script',
+      retainLines: true,
+      plugins: [loopProtectionPlugin],
+    }).code
+  }
+  catch (error) {
+    throw createTransformError(error, code)
+  }
+}
+
+
+export function transformComponent(source, { language, babelOptions }={}) {
+  let transformed
+  let executable
+  let map = null
+  let error = null
+  let warnings = []
+
+  try {
+    const result = compile(source, language, babelOptions)
+    const protectedResult = protectLoops(result.code, result.map)
+    transformed = result.code
+    executable = protectedResult.code
+    map = protectedResult.map
+    warnings = result.warnings
+  }
+  catch (e) {
+    error = createTransformError(e, source)
+  }
+
+  return {
+    transformedSource: transformed,
+    executableSource: executable,
+    map: map,
+    error: error,
+    warnings: warnings,
+  }
+}
+
+
+export function transformRaw(source, { appId, language, babelOptions }) {
+  let transformed
+  let executable
+  let map = null
+  let error = null
+  let warnings = []
+
+  const appPattern = new RegExp(`document\\s*.\\s*getElementById\\s*\\(\\s*['"]${appId}['"]\\s*\\)`, 'g')
+  const sourceWithAppId = source.replace(appPattern, ' __MOUNT__ ')
+
+  try {
+    const result = compile(sourceWithAppId, language, babelOptions)
+    const protectedResult = protectLoops(result.code, result.map)
+    transformed = result.code
+    executable = protectedResult.code
+    map = protectedResult.map
+    warnings = result.warnings
+  }
+  catch (e) {
+    error = createTransformError(e, source)
+  }
+
+  return {
+    transformedSource: transformed,
+    executableSource: executable,
+    map: map,
+    error: error,
+    warnings: warnings,
+  }
+}
+
+
+export function transformMDX(source, { unwrapped, babelOptions }) {
+  let pretty
+  let runnableCode
+  let error = null
+  try {
+    const data = frontMatter(source)
+    const es6 = wrappedMDXC.render(data.body)
+    pretty = unwrapped ? unwrappedMDXC.render(data.body) : es6
+    runnableCode = transform(es6, mergeBabelOptions({ presets: [latestPreset], plugins: [dynamicImportPlugin] }, babelOptions)).code
+  }
+  catch (e) {
+    error = createTransformError(e)
+  }
+
+  // As the executable source is generated from markdown, there is no
+  // meaningful source map for it.
+  return {
+    transformedSource: pretty,
+    executableSource: runnableCode,
+    map: null,
+    error,
+  }
+}
+
+
+export const transforms = {
+  component: transformComponent,
+  raw: transformRaw,
+  mdx: transformMDX,
+}
+
+
+/**
+ * Converts a transform result into an object that can be passed to or from a
+ * Web Worker.
+ */
+export function serializeTransformResult(result) {
+  return {
+    ...result,
+    error: result.error && serializeError(result.error),
+    warnings: result.warnings && result.warnings.map(serializeError),
+  }
+}
+
+export function deserializeTransformResult(result) {
+  return {
+    ...result,
+    error: result.error && deserializeError(result.error),
+    warnings: result.warnings && result.warnings.map(deserializeError),
+  }
+}
+
+
+/**
+ * Runs the named transform within the given transform worker, returning a
+ * promise to the result. When there is no worker, or when rendering on the
+ * server, the transform is run synchronously instead.
+ *
+ * Custom `babelOptions` can contain functions, which can't be passed to a
+ * worker, so transforms that use them are also run synchronously.
+ */
+export function runTransform(worker, name, source, options={}) {
+  return worker && !options.babelOptions && typeof window !== 'undefined'
+    ? worker.transform(name, source, options)
+    : transforms[name](source, options)
+}
+
+
+/**
+ * Returns the `transformKey` for one of the above transforms. Custom
+ * `babelOptions` are identified by object identity, so results that use them
+ * are shared between breadboards with the same options object, but are not
+ * persisted.
+ */
+export function getTransformKey(name, babelOptions) {
+  return babelOptions ? name+':'+getIdentityKey(babelOptions) : name
+}
@@ -24,4 +24,12 @@ export function debounce(func, wait, immediate) {
     timeout = setTimeout(later, wait);
     if (callNow) func.apply(context, args);
   };
-};
\ No newline at end of file
+};
+
+// Returns a timestamp in milliseconds, using the high resolution timer where
+// one is available.
+export function now() {
+  return (typeof performance !== 'undefined' && performance.now)
+    ? performance.now()
+    : Date.now()
+}